@@ -0,0 +1,187 @@
+// Time scales and sidereal time.
+//
+// Dates are JavaScript Date objects (UTC). UT1 is taken as UTC, which is good
+// to under a second; TT is derived with the Espenak & Meeus delta-T fits so
+// dates far from the present still land in the right place.
+class AstroTime {
+    static julianDate(date) {
+        return date.getTime() / 86400000 + 2440587.5;
+    }
+
+    static dateFromJulianDate(jd) {
+        return new Date((jd - 2440587.5) * 86400000);
+    }
+
+    // TT - UT1 in seconds (Espenak & Meeus 2006 polynomial fits)
+    static deltaT(date) {
+        const year = date.getUTCFullYear() + (date.getUTCMonth() + 0.5) / 12;
+        let t;
+        let u;
+
+        if (year < -500 || year >= 2150) {
+            u = (year - 1820) / 100;
+            return -20 + 32 * u * u;
+        }
+        if (year < 500) {
+            u = year / 100;
+            return 10583.6 - 1014.41 * u + 33.78311 * u ** 2 - 5.952053 * u ** 3 -
+                0.1798452 * u ** 4 + 0.022174192 * u ** 5 + 0.0090316521 * u ** 6;
+        }
+        if (year < 1600) {
+            u = (year - 1000) / 100;
+            return 1574.2 - 556.01 * u + 71.23472 * u ** 2 + 0.319781 * u ** 3 -
+                0.8503463 * u ** 4 - 0.005050998 * u ** 5 + 0.0083572073 * u ** 6;
+        }
+        if (year < 1700) {
+            t = year - 1600;
+            return 120 - 0.9808 * t - 0.01532 * t ** 2 + t ** 3 / 7129;
+        }
+        if (year < 1800) {
+            t = year - 1700;
+            return 8.83 + 0.1603 * t - 0.0059285 * t ** 2 + 0.00013336 * t ** 3 - t ** 4 / 1174000;
+        }
+        if (year < 1860) {
+            t = year - 1800;
+            return 13.72 - 0.332447 * t + 0.0068612 * t ** 2 + 0.0041116 * t ** 3 - 0.00037436 * t ** 4 +
+                0.0000121272 * t ** 5 - 0.0000001699 * t ** 6 + 0.000000000875 * t ** 7;
+        }
+        if (year < 1900) {
+            t = year - 1860;
+            return 7.62 + 0.5737 * t - 0.251754 * t ** 2 + 0.01680668 * t ** 3 -
+                0.0004473624 * t ** 4 + t ** 5 / 233174;
+        }
+        if (year < 1920) {
+            t = year - 1900;
+            return -2.79 + 1.494119 * t - 0.0598939 * t ** 2 + 0.0061966 * t ** 3 - 0.000197 * t ** 4;
+        }
+        if (year < 1941) {
+            t = year - 1920;
+            return 21.20 + 0.84493 * t - 0.076100 * t ** 2 + 0.0020936 * t ** 3;
+        }
+        if (year < 1961) {
+            t = year - 1950;
+            return 29.07 + 0.407 * t - t ** 2 / 233 + t ** 3 / 2547;
+        }
+        if (year < 1986) {
+            t = year - 1975;
+            return 45.45 + 1.067 * t - t ** 2 / 260 - t ** 3 / 718;
+        }
+        if (year < 2005) {
+            t = year - 2000;
+            return 63.86 + 0.3345 * t - 0.060374 * t ** 2 + 0.0017275 * t ** 3 +
+                0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+        }
+        if (year < 2050) {
+            t = year - 2000;
+            return 62.92 + 0.32217 * t + 0.005589 * t ** 2;
+        }
+        u = (year - 1820) / 100;
+        return -20 + 32 * u * u - 0.5628 * (2150 - year);
+    }
+
+    static julianDateTT(date) {
+        return AstroTime.julianDate(date) + AstroTime.deltaT(date) / 86400;
+    }
+
+    // Julian centuries of TT since J2000.0
+    static julianCenturies(date) {
+        return (AstroTime.julianDateTT(date) - 2451545.0) / 36525;
+    }
+
+    // Earth rotation angle in degrees (IAU 2000)
+    static earthRotationAngle(date) {
+        const du = AstroTime.julianDate(date) - 2451545.0;
+        const turns = 0.7790572732640 + 0.00273781191135448 * du + (du % 1);
+        return AstroTime.normalizeDegrees(turns * 360);
+    }
+
+    // Greenwich mean sidereal time in degrees (IAU 2006, ERA based)
+    static greenwichMeanSiderealTime(date) {
+        const t = AstroTime.julianCenturies(date);
+        const arcsec = 0.014506 + 4612.156534 * t + 1.3915817 * t ** 2 -
+            0.00000044 * t ** 3 - 0.000029956 * t ** 4 - 0.0000000368 * t ** 5;
+        return AstroTime.normalizeDegrees(AstroTime.earthRotationAngle(date) + arcsec / 3600);
+    }
+
+    // Mean obliquity of the ecliptic in degrees (IAU 2006)
+    static meanObliquity(date) {
+        const t = AstroTime.julianCenturies(date);
+        const arcsec = 84381.406 - 46.836769 * t - 0.0001831 * t ** 2 + 0.00200340 * t ** 3 -
+            0.000000576 * t ** 4 - 0.0000000434 * t ** 5;
+        return arcsec / 3600;
+    }
+
+    // Nutation in longitude and obliquity in degrees, from the largest terms
+    // of the IAU 1980 series (good to about 0.1")
+    static nutation(date) {
+        const t = AstroTime.julianCenturies(date);
+        const rad = Math.PI / 180;
+
+        // Delaunay arguments: D, M, M', F, Omega
+        const args = [
+            297.85036 + 445267.111480 * t - 0.0019142 * t ** 2 + t ** 3 / 189474,
+            357.52772 + 35999.050340 * t - 0.0001603 * t ** 2 - t ** 3 / 300000,
+            134.96298 + 477198.867398 * t + 0.0086972 * t ** 2 + t ** 3 / 56250,
+            93.27191 + 483202.017538 * t - 0.0036825 * t ** 2 + t ** 3 / 327270,
+            125.04452 - 1934.136261 * t + 0.0020708 * t ** 2 + t ** 3 / 450000
+        ].map(angle => angle * rad);
+
+        let deltaPsi = 0;
+        let deltaEpsilon = 0;
+        AstroTime.nutationTerms.forEach(([d, m, mp, f, om, psi, psiT, eps, epsT]) => {
+            const arg = d * args[0] + m * args[1] + mp * args[2] + f * args[3] + om * args[4];
+            deltaPsi += (psi + psiT * t) * Math.sin(arg);
+            deltaEpsilon += (eps + epsT * t) * Math.cos(arg);
+        });
+
+        // Coefficients are in units of 0.0001"
+        return {
+            longitude: deltaPsi / 36000000,
+            obliquity: deltaEpsilon / 36000000
+        };
+    }
+
+    static equationOfEquinoxes(date) {
+        const nutation = AstroTime.nutation(date);
+        const obliquity = (AstroTime.meanObliquity(date) + nutation.obliquity) * Math.PI / 180;
+        return nutation.longitude * Math.cos(obliquity);
+    }
+
+    // Greenwich apparent sidereal time in degrees
+    static greenwichApparentSiderealTime(date) {
+        return AstroTime.normalizeDegrees(
+            AstroTime.greenwichMeanSiderealTime(date) + AstroTime.equationOfEquinoxes(date)
+        );
+    }
+
+    // Local apparent sidereal time in degrees for an east-positive longitude
+    static localSiderealTime(date, longitude) {
+        return AstroTime.normalizeDegrees(AstroTime.greenwichApparentSiderealTime(date) + longitude);
+    }
+
+    static normalizeDegrees(angle) {
+        return ((angle % 360) + 360) % 360;
+    }
+}
+
+// Multipliers of D, M, M', F, Omega and the sine/cosine coefficients (0.0001")
+AstroTime.nutationTerms = [
+    [0, 0, 0, 0, 1, -171996, -174.2, 92025, 8.9],
+    [-2, 0, 0, 2, 2, -13187, -1.6, 5736, -3.1],
+    [0, 0, 0, 2, 2, -2274, -0.2, 977, -0.5],
+    [0, 0, 0, 0, 2, 2062, 0.2, -895, 0.5],
+    [0, 1, 0, 0, 0, 1426, -3.4, 54, -0.1],
+    [0, 0, 1, 0, 0, 712, 0.1, -7, 0],
+    [-2, 1, 0, 2, 2, -517, 1.2, 224, -0.6],
+    [0, 0, 0, 2, 1, -386, -0.4, 200, 0],
+    [0, 0, 1, 2, 2, -301, 0, 129, -0.1],
+    [-2, -1, 0, 2, 2, 217, -0.5, -95, 0.3],
+    [-2, 0, 1, 0, 0, -158, 0, 0, 0],
+    [-2, 0, 0, 2, 1, 129, 0.1, -70, 0],
+    [0, 0, -1, 2, 2, 123, 0, -53, 0],
+    [2, 0, 0, 0, 0, 63, 0, 0, 0],
+    [0, 0, 1, 0, 1, 63, 0.1, -33, 0],
+    [2, 0, -1, 2, 2, -59, 0, 26, 0],
+    [0, 0, -1, 0, 1, -58, -0.1, 32, 0],
+    [0, 0, 1, 2, 1, -51, 0, 27, 0]
+];
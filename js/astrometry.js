@@ -0,0 +1,338 @@
+// Coordinate transformations between the catalog frame (J2000/ICRS) and the
+// true equator and equinox of date.
+//
+// Precession uses the IAU 2006 Fukushima-Williams angles within a thousand
+// years of J2000, where they are good to a fraction of an arcsecond. Their
+// polynomials run away beyond that, so further out the long-term model of
+// Vondrák, Capitaine & Wallace (2011) takes over: series for the equator and
+// ecliptic poles valid for ±200,000 years, which puts the pole near Vega
+// around AD 14000 and back at Polaris one precession cycle later.
+// Matrices are 3x3 arrays of rows; vectors are [x, y, z].
+class Astrometry {
+    static rotationX(angle) {
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        return [
+            [1, 0, 0],
+            [0, c, s],
+            [0, -s, c]
+        ];
+    }
+
+    static rotationZ(angle) {
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        return [
+            [c, s, 0],
+            [-s, c, 0],
+            [0, 0, 1]
+        ];
+    }
+
+    static multiply(a, b) {
+        return a.map(row => [0, 1, 2].map(j =>
+            row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]
+        ));
+    }
+
+    static transpose(m) {
+        return [0, 1, 2].map(i => [m[0][i], m[1][i], m[2][i]]);
+    }
+
+    static applyMatrix(m, v) {
+        return [
+            m[0][0] * v[0] + m[0][1] * v[1] + m[0][2] * v[2],
+            m[1][0] * v[0] + m[1][1] * v[1] + m[1][2] * v[2],
+            m[2][0] * v[0] + m[2][1] * v[1] + m[2][2] * v[2]
+        ];
+    }
+
+    // RA in hours, Dec in degrees
+    static toVector(ra, dec) {
+        const raRad = ra * Math.PI / 12;
+        const decRad = dec * Math.PI / 180;
+        return [
+            Math.cos(decRad) * Math.cos(raRad),
+            Math.cos(decRad) * Math.sin(raRad),
+            Math.sin(decRad)
+        ];
+    }
+
+    static fromVector(v) {
+        const r = Math.hypot(v[0], v[1], v[2]);
+        const ra = Math.atan2(v[1], v[0]) * 12 / Math.PI;
+        return {
+            ra: (ra + 24) % 24,
+            dec: Math.asin(Math.max(-1, Math.min(1, v[2] / r))) * 180 / Math.PI
+        };
+    }
+
+    // Fukushima-Williams precession angles in radians (IAU 2006)
+    static precessionAngles(date) {
+        const t = AstroTime.julianCenturies(date);
+        const arcsec = Math.PI / (180 * 3600);
+        return {
+            gamma: (-0.052928 + 10.556378 * t + 0.4932044 * t ** 2 - 0.00031238 * t ** 3 -
+                0.000002788 * t ** 4 + 0.0000000260 * t ** 5) * arcsec,
+            phi: (84381.412819 - 46.811016 * t + 0.0511268 * t ** 2 + 0.00053289 * t ** 3 -
+                0.000000440 * t ** 4 - 0.0000000176 * t ** 5) * arcsec,
+            psi: (-0.041775 + 5038.481484 * t + 1.5584175 * t ** 2 - 0.00018522 * t ** 3 -
+                0.000026452 * t ** 4 - 0.0000000148 * t ** 5) * arcsec,
+            epsilon: AstroTime.meanObliquity(date) * Math.PI / 180
+        };
+    }
+
+    static isLongTerm(date) {
+        return Math.abs(AstroTime.julianCenturies(date)) > Astrometry.LONG_TERM_CENTURIES;
+    }
+
+    // Unit vectors of the mean equator and ecliptic poles of date in the J2000
+    // frame (Vondrák et al. 2011)
+    static longTermPoles(date) {
+        const t = AstroTime.julianCenturies(date);
+        const arcsec = Math.PI / (180 * 3600);
+        const series = (polynomials, periodic) => {
+            const [a, b] = polynomials.map(terms => terms.reduce((sum, term, i) => sum + term * t ** i, 0));
+            return periodic.reduce(([x, y], [period, cosX, cosY, sinX, sinY]) => {
+                const angle = 2 * Math.PI * t / period;
+                return [
+                    x + cosX * Math.cos(angle) + sinX * Math.sin(angle),
+                    y + cosY * Math.cos(angle) + sinY * Math.sin(angle)
+                ];
+            }, [a, b]).map(value => value * arcsec);
+        };
+
+        const [x, y] = series(Astrometry.LTP_EQUATOR_POLYNOMIALS, Astrometry.LTP_EQUATOR_PERIODIC);
+        const equator = [x, y, Math.sqrt(Math.max(0, 1 - x * x - y * y))];
+
+        // P and Q place the ecliptic pole relative to the J2000 ecliptic
+        const [p, q] = series(Astrometry.LTP_ECLIPTIC_POLYNOMIALS, Astrometry.LTP_ECLIPTIC_PERIODIC);
+        const z = Math.sqrt(Math.max(0, 1 - p * p - q * q));
+        const epsilon0 = 84381.406 * arcsec;
+        const ecliptic = [
+            p,
+            -q * Math.cos(epsilon0) - z * Math.sin(epsilon0),
+            -q * Math.sin(epsilon0) + z * Math.cos(epsilon0)
+        ];
+        return { equator, ecliptic };
+    }
+
+    // J2000 to mean equator and equinox of date from the long-term poles: the
+    // equinox lies along their cross product
+    static longTermPrecessionMatrix(date) {
+        const { equator, ecliptic } = Astrometry.longTermPoles(date);
+        const cross = (a, b) => [
+            a[1] * b[2] - a[2] * b[1],
+            a[2] * b[0] - a[0] * b[2],
+            a[0] * b[1] - a[1] * b[0]
+        ];
+        const node = cross(equator, ecliptic);
+        const length = Math.hypot(node[0], node[1], node[2]);
+        const equinox = node.map(value => value / length);
+        return [equinox, cross(equator, equinox), equator];
+    }
+
+    // Mean obliquity of the ecliptic of date in degrees
+    static meanObliquity(date) {
+        if (!Astrometry.isLongTerm(date)) return AstroTime.meanObliquity(date);
+
+        const { equator, ecliptic } = Astrometry.longTermPoles(date);
+        const cosine = equator[0] * ecliptic[0] + equator[1] * ecliptic[1] + equator[2] * ecliptic[2];
+        return Math.acos(Math.max(-1, Math.min(1, cosine))) * 180 / Math.PI;
+    }
+
+    static fukushimaWilliamsMatrix(gamma, phi, psi, epsilon) {
+        return Astrometry.multiply(
+            Astrometry.multiply(Astrometry.rotationX(-epsilon), Astrometry.rotationZ(-psi)),
+            Astrometry.multiply(Astrometry.rotationX(phi), Astrometry.rotationZ(gamma))
+        );
+    }
+
+    // J2000 to mean equator and equinox of date
+    static precessionMatrix(date) {
+        if (Astrometry.isLongTerm(date)) return Astrometry.longTermPrecessionMatrix(date);
+
+        const { gamma, phi, psi, epsilon } = Astrometry.precessionAngles(date);
+        return Astrometry.fukushimaWilliamsMatrix(gamma, phi, psi, epsilon);
+    }
+
+    // J2000 to true equator and equinox of date (precession + nutation)
+    static precessionNutationMatrix(date) {
+        const nutation = AstroTime.nutation(date);
+        const degree = Math.PI / 180;
+
+        if (Astrometry.isLongTerm(date)) {
+            // Nutation turns the mean equator of date onto the true one
+            const epsilon = Astrometry.meanObliquity(date) * degree;
+            const nutationMatrix = Astrometry.multiply(
+                Astrometry.multiply(
+                    Astrometry.rotationX(-(epsilon + nutation.obliquity * degree)),
+                    Astrometry.rotationZ(-nutation.longitude * degree)
+                ),
+                Astrometry.rotationX(epsilon)
+            );
+            return Astrometry.multiply(nutationMatrix, Astrometry.longTermPrecessionMatrix(date));
+        }
+
+        const { gamma, phi, psi, epsilon } = Astrometry.precessionAngles(date);
+        return Astrometry.fukushimaWilliamsMatrix(
+            gamma,
+            phi,
+            psi + nutation.longitude * degree,
+            epsilon + nutation.obliquity * degree
+        );
+    }
+
+    // Catalog RA/Dec to apparent-of-date RA/Dec using a precomputed matrix
+    static j2000ToDate(ra, dec, matrix) {
+        return Astrometry.fromVector(Astrometry.applyMatrix(matrix, Astrometry.toVector(ra, dec)));
+    }
+
+    static dateToJ2000(ra, dec, matrix) {
+        return Astrometry.fromVector(Astrometry.applyMatrix(Astrometry.transpose(matrix), Astrometry.toVector(ra, dec)));
+    }
+
+    // Mean RA/Dec from one epoch to another (both Dates)
+    static precess(ra, dec, fromDate, toDate) {
+        const matrix = Astrometry.multiply(
+            Astrometry.precessionMatrix(toDate),
+            Astrometry.transpose(Astrometry.precessionMatrix(fromDate))
+        );
+        return Astrometry.fromVector(Astrometry.applyMatrix(matrix, Astrometry.toVector(ra, dec)));
+    }
+
+    static hasSpaceMotion(star) {
+        return star.pmRa !== undefined || star.radialVelocity !== undefined;
+    }
+
+    // Moves a J2000 catalog position along the star's straight-line space motion.
+    // Works in units of the star's J2000 distance, so proper motion alone is
+    // enough; parallax and radial velocity add the radial component (and with it
+    // the change in brightness and perspective acceleration).
+    static propagateSpaceMotion(star, years) {
+        const masToRad = Math.PI / (180 * 3600000);
+        const raRad = star.ra * Math.PI / 12;
+        const decRad = star.dec * Math.PI / 180;
+        const u = Astrometry.toVector(star.ra, star.dec);
+
+        // Unit vectors towards increasing RA and Dec
+        const p = [-Math.sin(raRad), Math.cos(raRad), 0];
+        const q = [
+            -Math.sin(decRad) * Math.cos(raRad),
+            -Math.sin(decRad) * Math.sin(raRad),
+            Math.cos(decRad)
+        ];
+
+        const pmRa = (star.pmRa || 0) * masToRad;
+        const pmDec = (star.pmDec || 0) * masToRad;
+        // km/s -> AU/yr, scaled by the distance in AU
+        const pmRadial = star.parallax > 0 && star.radialVelocity ?
+            star.radialVelocity / 4.740470446 * star.parallax * masToRad : 0;
+
+        const position = [0, 1, 2].map(i =>
+            u[i] + years * (pmRa * p[i] + pmDec * q[i] + pmRadial * u[i])
+        );
+        const distance = Math.hypot(position[0], position[1], position[2]);
+
+        return {
+            ...Astrometry.fromVector(position),
+            parallax: star.parallax ? star.parallax / distance : undefined,
+            magnitude: star.magnitude + 5 * Math.log10(distance)
+        };
+    }
+
+    // RA (hours) / Dec (degrees) of date to altitude and azimuth in degrees for
+    // a local sidereal time and latitude (degrees). Azimuth is measured from
+    // north through east.
+    static equatorialToHorizontal(ra, dec, lst, latitude) {
+        const hourAngle = (lst - ra * 15) * Math.PI / 180;
+        const decRad = dec * Math.PI / 180;
+        const latRad = latitude * Math.PI / 180;
+
+        const sinAlt = Math.sin(decRad) * Math.sin(latRad) +
+            Math.cos(decRad) * Math.cos(latRad) * Math.cos(hourAngle);
+        const azimuth = Math.atan2(
+            -Math.cos(decRad) * Math.sin(hourAngle),
+            Math.sin(decRad) * Math.cos(latRad) - Math.cos(decRad) * Math.sin(latRad) * Math.cos(hourAngle)
+        );
+        return {
+            altitude: Math.asin(Math.max(-1, Math.min(1, sinAlt))) * 180 / Math.PI,
+            azimuth: AstroTime.normalizeDegrees(azimuth * 180 / Math.PI)
+        };
+    }
+
+    static horizontalToEquatorial(altitude, azimuth, lst, latitude) {
+        const altRad = altitude * Math.PI / 180;
+        const azRad = azimuth * Math.PI / 180;
+        const latRad = latitude * Math.PI / 180;
+
+        const sinDec = Math.sin(altRad) * Math.sin(latRad) +
+            Math.cos(altRad) * Math.cos(latRad) * Math.cos(azRad);
+        const hourAngle = Math.atan2(
+            -Math.cos(altRad) * Math.sin(azRad),
+            Math.sin(altRad) * Math.cos(latRad) - Math.cos(altRad) * Math.sin(latRad) * Math.cos(azRad)
+        );
+        return {
+            ra: AstroTime.normalizeDegrees(lst - hourAngle * 180 / Math.PI) / 15,
+            dec: Math.asin(Math.max(-1, Math.min(1, sinDec))) * 180 / Math.PI
+        };
+    }
+
+    // Ecliptic longitude/latitude (degrees) to RA (hours) / Dec (degrees)
+    static eclipticToEquatorial(longitude, latitude, obliquity) {
+        const lon = longitude * Math.PI / 180;
+        const lat = latitude * Math.PI / 180;
+        const eps = obliquity * Math.PI / 180;
+
+        const sinDec = Math.sin(lat) * Math.cos(eps) + Math.cos(lat) * Math.sin(eps) * Math.sin(lon);
+        const ra = Math.atan2(
+            Math.sin(lon) * Math.cos(eps) - Math.tan(lat) * Math.sin(eps),
+            Math.cos(lon)
+        );
+        return {
+            ra: ((ra * 12 / Math.PI) + 24) % 24,
+            dec: Math.asin(sinDec) * 180 / Math.PI
+        };
+    }
+}
+
+// Centuries from J2000 beyond which the long-term precession model is used
+Astrometry.LONG_TERM_CENTURIES = 10;
+
+// Vondrák et al. (2011) series, in arcseconds with t in Julian centuries from
+// J2000. Polynomials are [constant, t, t^2, t^3] for each of the two
+// coordinates; periodic terms are [period (centuries), cos, cos, sin, sin].
+Astrometry.LTP_EQUATOR_POLYNOMIALS = [
+    [5453.282155, 0.4252841, -0.00037173, -0.000000152],
+    [-73750.930350, -0.7675452, -0.00018725, 0.000000231]
+];
+Astrometry.LTP_EQUATOR_PERIODIC = [
+    [256.75, -819.940624, 75004.344875, 81491.287984, 1558.515853],
+    [708.15, -8444.676815, 624.033993, 787.163481, 7774.939698],
+    [274.20, 2600.009459, 1251.136893, 1251.296102, -2219.534038],
+    [241.45, 2755.175630, -1102.212834, -1257.950837, -2523.969396],
+    [2309.00, -167.659835, -2660.664980, -2966.799730, 247.850422],
+    [492.20, 871.855056, 699.291817, 639.744522, -846.485643],
+    [396.10, 44.769698, 153.167220, 131.600209, -1393.124055],
+    [288.90, -512.313065, -950.865637, -445.040117, 368.526116],
+    [231.10, -819.415595, 499.754645, 584.522874, 749.045012],
+    [1610.00, -538.071099, -145.188210, -89.756563, 444.704518],
+    [620.00, -189.793622, 558.116553, 524.429630, 235.934465],
+    [157.87, -402.922932, -23.923029, -13.549067, 374.049623],
+    [220.30, 179.516345, -165.405086, -210.157124, -171.330180],
+    [1200.00, -9.814756, 9.344131, -44.919798, -22.899655]
+];
+Astrometry.LTP_ECLIPTIC_POLYNOMIALS = [
+    [5851.607687, -0.1189000, -0.00028913, 0.000000101],
+    [-1600.886300, 1.1689818, -0.00000020, -0.000000437]
+];
+Astrometry.LTP_ECLIPTIC_PERIODIC = [
+    [708.15, -5486.751211, -684.661560, 667.666730, -5523.863691],
+    [2309.00, -17.127623, 2446.283880, -2354.886252, -549.747450],
+    [1620.00, -617.517403, 399.671049, -428.152441, -310.998056],
+    [492.20, 413.442940, -356.652376, 376.202861, 421.535876],
+    [1183.00, 78.614193, -186.387003, 184.778874, -36.776172],
+    [622.00, -180.732815, -316.800070, 335.321713, -145.278396],
+    [882.00, -87.676083, 198.296701, -185.138669, -34.744450],
+    [547.00, 46.140315, 101.135679, -120.972830, 22.885731]
+];
@@ -0,0 +1,95 @@
+// Effects of the Earth's atmosphere on what the observer sees.
+//
+// Altitudes are in degrees. Conditions are { temperature (°C), pressure (hPa) };
+// a pressure of 0 means no atmosphere at all.
+class Atmosphere {
+    // Refraction in degrees to add to a geometric altitude (Saemundsson 1986,
+    // scaled for temperature and pressure). Below -1° it tapers off so the
+    // mapping stays monotonic for objects under the horizon.
+    static refraction(altitude, { temperature = 10, pressure = 1010 } = {}) {
+        if (altitude < -5 || !(pressure > 0)) return 0;
+
+        const h = Math.max(altitude, -1);
+        const arcmin = 1.02 / Math.tan((h + 10.3 / (h + 5.11)) * Math.PI / 180);
+        const refraction = arcmin / 60 * (pressure / 1010) * (283 / (273 + temperature));
+
+        return altitude < -1 ? refraction * (altitude + 5) / 4 : refraction;
+    }
+
+    // Relative air mass (Kasten & Young 1989); 1 at the zenith, ~38 at the horizon
+    static airmass(altitude) {
+        const h = Math.max(altitude, 0);
+        return 1 / (Math.sin(h * Math.PI / 180) + 0.50572 * Math.pow(h + 6.07995, -1.6364));
+    }
+
+    // Dimming in magnitudes for an observed altitude. The extinction coefficient
+    // is a typical clear-sky V-band value at sea level and scales with pressure.
+    static extinction(altitude, { pressure = 1010 } = {}, coefficient = 0.2) {
+        if (!(pressure > 0)) return 0;
+        return coefficient * (pressure / 1013.25) * Atmosphere.airmass(altitude);
+    }
+
+    // Twilight the Sun's geometric altitude puts the sky in: 'day', 'civil',
+    // 'nautical', 'astronomical' or 'night'
+    static twilight(sunAltitude) {
+        if (sunAltitude > -0.833) return 'day';
+        if (sunAltitude > -6) return 'civil';
+        if (sunAltitude > -12) return 'nautical';
+        if (sunAltitude > -18) return 'astronomical';
+        return 'night';
+    }
+
+    // Faintest star the naked eye picks out overhead. The sunlit sky and the
+    // dark sky limit are added as threshold fluxes, so twilight blends into
+    // the night value instead of switching over.
+    static limitingMagnitude(sunAltitude, darkSkyLimit = Atmosphere.DARK_SKY_LIMIT) {
+        const twilight = Atmosphere.interpolate(Atmosphere.twilightLimits, sunAltitude);
+        return -2.5 * Math.log10(Math.pow(10, -0.4 * twilight) + Math.pow(10, -0.4 * darkSkyLimit));
+    }
+
+    // Background colour (RGB, 0-1) of the sky for the Sun's altitude
+    static skyColor(sunAltitude) {
+        return [0, 1, 2].map(i => Atmosphere.interpolate(
+            Atmosphere.skyColors.map(([altitude, color]) => [altitude, color[i]]), sunAltitude
+        ));
+    }
+
+    // Piecewise linear lookup in [x, y] rows sorted by x, held flat past the ends
+    static interpolate(table, x) {
+        if (x <= table[0][0]) return table[0][1];
+        for (let i = 1; i < table.length; i++) {
+            const [x1, y1] = table[i];
+            if (x <= x1) {
+                const [x0, y0] = table[i - 1];
+                return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+            }
+        }
+        return table[table.length - 1][1];
+    }
+}
+
+// Naked-eye limit under a dark, moonless sky
+Atmosphere.DARK_SKY_LIMIT = 6.5;
+
+// Naked-eye limit for Bortle classes 1 (excellent dark site) to 9 (inner
+// city), the middle of each class's range on Bortle's (2001) scale
+Atmosphere.bortleLimits = [7.8, 7.3, 6.8, 6.3, 5.8, 5.3, 4.8, 4.3, 4.0];
+
+// Limiting magnitude set by sunlight scattered in the sky alone, by Sun
+// altitude: Venus in daylight, the first bright stars in civil twilight, the
+// full sky by the end of astronomical twilight
+Atmosphere.twilightLimits = [
+    [-24, 12.0], [-18, 9.0], [-15, 7.0], [-12, 5.2], [-9, 3.9], [-6, 2.6],
+    [-3, 1.0], [0, -1.0], [10, -3.5], [30, -4.0]
+];
+
+// Sky colour by Sun altitude, from night through the twilights to daytime blue
+Atmosphere.skyColors = [
+    [-18, [0.0, 0.02, 0.05]],
+    [-12, [0.02, 0.04, 0.11]],
+    [-6, [0.08, 0.12, 0.27]],
+    [-3, [0.22, 0.25, 0.42]],
+    [0, [0.45, 0.42, 0.5]],
+    [5, [0.4, 0.55, 0.78]],
+    [20, [0.35, 0.56, 0.88]]
+];
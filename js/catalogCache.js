@@ -0,0 +1,122 @@
+class CatalogCache {
+    constructor(dbName = 'xeron-sky', storeName = 'catalogs') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+
+        // Bump when the shape of cached star records changes so stale
+        // entries are ignored instead of fed to the renderer
+        this.schemaVersion = 3;
+        this.dbPromise = null;
+    }
+
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.isAvailable()) {
+            return Promise.reject(new Error('IndexedDB not supported'));
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: 'query' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // Allow a later retry if opening failed (e.g. private browsing)
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async transaction(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const request = operation(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async get(query) {
+        try {
+            const entry = await this.transaction('readonly', store => store.get(query));
+            if (!entry || entry.schemaVersion !== this.schemaVersion) return null;
+            return entry;
+        } catch (error) {
+            console.warn('Could not read catalog cache:', error);
+            return null;
+        }
+    }
+
+    async put(query, info, stars) {
+        const entry = {
+            query,
+            catalog: info?.catalog,
+            version: info?.version,
+            source: info?.source,
+            schemaVersion: this.schemaVersion,
+            storedAt: Date.now(),
+            stars
+        };
+
+        try {
+            await this.transaction('readwrite', store => store.put(entry));
+            return true;
+        } catch (error) {
+            console.warn('Could not write catalog cache:', error);
+            return false;
+        }
+    }
+
+    async delete(query) {
+        try {
+            await this.transaction('readwrite', store => store.delete(query));
+            return true;
+        } catch (error) {
+            console.warn('Could not delete catalog cache entry:', error);
+            return false;
+        }
+    }
+
+    async clear() {
+        try {
+            await this.transaction('readwrite', store => store.clear());
+            return true;
+        } catch (error) {
+            console.warn('Could not clear catalog cache:', error);
+            return false;
+        }
+    }
+
+    // Summaries of the cached catalogs, without the star records themselves
+    async inspect() {
+        try {
+            const entries = await this.transaction('readonly', store => store.getAll());
+            return (entries || []).map(entry => ({
+                query: entry.query,
+                catalog: entry.catalog,
+                version: entry.version,
+                source: entry.source,
+                schemaVersion: entry.schemaVersion,
+                stale: entry.schemaVersion !== this.schemaVersion,
+                storedAt: new Date(entry.storedAt),
+                starCount: entry.stars?.length || 0
+            }));
+        } catch (error) {
+            console.warn('Could not inspect catalog cache:', error);
+            return [];
+        }
+    }
+}
@@ -0,0 +1,636 @@
+// Catalog providers feed StarData with normalized records.
+//
+// A provider declares the kinds of objects it yields ('stars', 'dsos',
+// 'solarSystem') and implements load(kind). Records come back in the shapes
+// the renderer already understands:
+//   stars:       { id, name, ra (hours), dec (deg), magnitude, colorIndex, spectralType, x, y, z,
+//                  pmRa, pmDec (mas/yr, pmRa includes cos dec), parallax (mas), radialVelocity (km/s) }
+//   dsos:        { id, name, ra, dec, magnitude, type, category, size (major axis, arcmin),
+//                  minorAxis (arcmin), positionAngle (deg, north through east) }
+//   solarSystem: { id, name, ra, dec, magnitude, distance }
+//   minorBodies: { id, name, type ('comet' / 'asteroid'), absoluteMagnitude, slope,
+//                  orbit: { perihelionDistance (AU), eccentricity, inclination, node,
+//                           perihelion (argument, deg), perihelionTime (JD TT) } }
+//   satellites:  { id, name, type: 'satellite', epoch (JD UTC), orbit (SGP4 state) }
+// Remote providers are only consulted on refresh, or as a fallback when they
+// are flagged as such and no local provider returned anything.
+class CatalogProvider {
+    constructor({ id, kinds = [], remote = false, fallback = false } = {}) {
+        this.id = id || this.constructor.name;
+        this.kinds = kinds;
+        this.remote = remote;
+        this.fallback = fallback;
+        this.info = null;
+    }
+
+    provides(kind) {
+        return this.kinds.includes(kind);
+    }
+
+    // Key used to cache this provider's records
+    get cacheKey() {
+        return this.id;
+    }
+
+    async load(kind) {
+        throw new Error(`${this.constructor.name} does not implement load(${kind})`);
+    }
+
+    // Normalizes a { metadata, data } table (TAP JSON layout) into star records.
+    // Columns are looked up by name so sources can carry different identifiers.
+    static normalizeStarTable(table) {
+        if (!table?.data) return [];
+
+        const columns = table.metadata ||
+            ['HR', 'RAJ2000', 'DEJ2000', 'Vmag', 'B-V', 'SpType', 'Name'].map(name => ({ name }));
+        const column = {};
+        const units = {};
+        columns.forEach(({ name, unit }, index) => {
+            column[name] = index;
+            units[name] = unit;
+        });
+        const field = (row, name) => column[name] === undefined ? undefined : row[column[name]];
+        // Space motion is optional; rows may also leave trailing columns out
+        const angle = (row, name) => CatalogProvider.toMilliarcsec(field(row, name), units[name]);
+
+        return table.data
+            .map(star => {
+                const ra = parseFloat(field(star, 'RAJ2000')) / 15;
+                const dec = parseFloat(field(star, 'DEJ2000'));
+                const raRad = ra * Math.PI / 12;
+                const decRad = dec * Math.PI / 180;
+                const magnitude = parseFloat(field(star, 'Vmag'));
+                const colorIndex = parseFloat(field(star, 'B-V'));
+                const spectralType = field(star, 'SpType')?.trim() || undefined;
+                const hr = field(star, 'HR');
+                const hip = field(star, 'HIP');
+                const id = hr !== undefined ? `HR ${hr}` : `HIP ${hip}`;
+
+                const record = {
+                    id,
+                    name: field(star, 'Name')?.trim() || id,
+                    ra,
+                    dec,
+                    magnitude,
+                    colorIndex,
+                    spectralType,
+                    x: Math.cos(decRad) * Math.cos(raRad),
+                    y: Math.cos(decRad) * Math.sin(raRad),
+                    z: Math.sin(decRad)
+                };
+                if (hip !== undefined) record.hip = hip;
+                if (field(star, 'ProperName')) record.commonName = field(star, 'ProperName');
+
+                const pmRa = angle(star, 'pmRA');
+                const pmDec = angle(star, 'pmDE');
+                const parallax = angle(star, 'Parallax');
+                const radialVelocity = parseFloat(field(star, 'RadVel'));
+                if (pmRa !== undefined && pmDec !== undefined) {
+                    record.pmRa = pmRa;
+                    record.pmDec = pmDec;
+                }
+                if (parallax > 0) record.parallax = parallax;
+                if (!isNaN(radialVelocity)) record.radialVelocity = radialVelocity;
+                return record;
+            })
+            .filter(star =>
+                !isNaN(star.x) && !isNaN(star.y) && !isNaN(star.z) &&
+                !isNaN(star.magnitude) && !isNaN(star.ra) && !isNaN(star.dec)
+            );
+    }
+
+    // Normalizes a { metadata, data } table of Messier / NGC / IC objects.
+    // Messier numbers are preferred as ids so they match SIMBAD's records.
+    static normalizeDsoTable(table) {
+        if (!table?.data) return [];
+
+        const column = {};
+        (table.metadata || []).forEach(({ name }, index) => {
+            column[name] = index;
+        });
+        const field = (row, name) => column[name] === undefined ? undefined : row[column[name]];
+
+        return table.data
+            .map(row => {
+                const type = CatalogProvider.dsoType(field(row, 'Type'));
+                const messier = field(row, 'Messier') || undefined;
+                const ngc = field(row, 'NGC') || undefined;
+                const id = messier || ngc;
+                const majorAxis = parseFloat(field(row, 'MajAx'));
+                const minorAxis = parseFloat(field(row, 'MinAx'));
+                const positionAngle = parseFloat(field(row, 'PosAng'));
+
+                const record = {
+                    id,
+                    name: field(row, 'CommonName') || id,
+                    ra: parseFloat(field(row, 'RAJ2000')) / 15,
+                    dec: parseFloat(field(row, 'DEJ2000')),
+                    magnitude: parseFloat(field(row, 'Vmag')),
+                    type,
+                    category: CatalogProvider.dsoCategory(type),
+                    size: isNaN(majorAxis) ? undefined : majorAxis
+                };
+                if (messier) record.messier = messier;
+                if (ngc) record.ngc = ngc;
+                if (!isNaN(minorAxis)) record.minorAxis = minorAxis;
+                if (!isNaN(positionAngle)) record.positionAngle = positionAngle;
+                return record;
+            })
+            .filter(obj => obj.id && obj.category && !isNaN(obj.ra) && !isNaN(obj.dec));
+    }
+
+    // Catalog object type codes (OpenNGC / d3-celestial) to renderer types
+    static dsoType(code) {
+        switch (code) {
+            case 's':
+                return 'spiral';
+            case 'g':
+            case 'gg':
+            case 's0':
+            case 'sd':
+            case 'e':
+            case 'i':
+                return 'galaxy';
+            case 'gc':
+                return 'globular';
+            case 'oc':
+            case 'pos':
+                return 'open';
+            case 'pn':
+                return 'planetary';
+            case 'snr':
+                return 'supernova';
+            case 'bn':
+            case 'en':
+            case 'rn':
+            case 'sfr':
+                return 'diffuse';
+            default:
+                return null;
+        }
+    }
+
+    // Angular values in milliarcseconds; tables without units are taken as
+    // arcseconds, which is what V/50 uses
+    static toMilliarcsec(value, unit) {
+        const number = parseFloat(value);
+        if (isNaN(number)) return undefined;
+        if (unit?.startsWith('mas')) return number;
+        if (unit?.startsWith('deg')) return number * 3600000;
+        return number * 1000;
+    }
+
+    // Maps a renderer DSO type onto the StarData.deepSkyObjects bucket
+    static dsoCategory(type) {
+        switch (type) {
+            case 'diffuse':
+            case 'planetary':
+            case 'supernova':
+                return 'nebulae';
+            case 'spiral':
+            case 'galaxy':
+                return 'galaxies';
+            case 'globular':
+            case 'open':
+                return 'clusters';
+            default:
+                return null;
+        }
+    }
+}
+
+class LocalFileProvider extends CatalogProvider {
+    constructor({ id, url, kind = 'stars', normalize = null } = {}) {
+        super({ id: id || url, kinds: [kind] });
+        this.url = url;
+        this.normalize = normalize;
+    }
+
+    get cacheKey() {
+        return this.url;
+    }
+
+    async load(kind) {
+        const response = await fetch(this.url);
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        if (!data) throw new Error(`Invalid catalog file: ${this.url}`);
+
+        this.info = {
+            catalog: data.catalog,
+            version: data.version,
+            source: this.url
+        };
+
+        if (this.normalize) return this.normalize(data, kind);
+        if (kind === 'stars') return CatalogProvider.normalizeStarTable(data);
+        if (kind === 'dsos' && data.metadata) return CatalogProvider.normalizeDsoTable(data);
+        return Array.isArray(data) ? data : (data.records || []);
+    }
+}
+
+class VizierProvider extends CatalogProvider {
+    constructor({
+        id = 'vizier-yale',
+        tapUrl = 'https://tapvizier.u-strasbg.fr/TAPVizieR/tap/sync',
+        query = `
+                SELECT "V/50/catalog"."HR", "RAJ2000", "DEJ2000", "Vmag", "B-V", "SpType", "Name",
+                       "pmRA", "pmDE", "Parallax", "RadVel"
+                FROM "V/50/catalog"
+                WHERE "Vmag" IS NOT NULL
+                ORDER BY "Vmag" ASC
+            `,
+        fallback = true
+    } = {}) {
+        super({ id, kinds: ['stars'], remote: true, fallback });
+        this.tapUrl = tapUrl;
+        this.query = query;
+    }
+
+    get cacheKey() {
+        return this.query;
+    }
+
+    async load() {
+        const response = await fetch(`${this.tapUrl}?${new URLSearchParams({
+            request: 'doQuery',
+            lang: 'ADQL',
+            format: 'json',
+            query: this.query
+        })}`);
+
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        if (!data?.data) throw new Error('Invalid response from Yale catalog');
+
+        this.info = {
+            catalog: 'V/50',
+            version: 'vizier',
+            source: this.tapUrl
+        };
+        return CatalogProvider.normalizeStarTable(data);
+    }
+}
+
+class SimbadProvider extends CatalogProvider {
+    constructor({
+        id = 'simbad-messier',
+        tapUrl = 'https://simbad.u-strasbg.fr/simbad/sim-tap/sync',
+        query = `SELECT basic.OID, ident.id, ra, dec, allfluxes.V, otype.otype_txt, dim.dimensions
+                      FROM basic
+                      JOIN ident ON ident.oidref = basic.OID
+                      LEFT JOIN allfluxes ON allfluxes.oidref = basic.OID
+                      JOIN otype ON otype.otype = basic.otype
+                      LEFT JOIN dim ON dim.oidref = basic.OID
+                      WHERE ident.id LIKE 'M %'`
+    } = {}) {
+        super({ id, kinds: ['dsos'], remote: true });
+        this.tapUrl = tapUrl;
+        this.query = query;
+    }
+
+    get cacheKey() {
+        return this.query;
+    }
+
+    async load() {
+        const response = await fetch(this.tapUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: `request=doQuery&lang=adql&format=json&query=${encodeURIComponent(this.query)}`
+        });
+
+        if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+        const data = await response.json();
+        if (!data?.data) throw new Error('Invalid response from SIMBAD');
+
+        this.info = {
+            catalog: 'SIMBAD',
+            version: 'simbad',
+            source: this.tapUrl
+        };
+
+        return data.data
+            .map(row => {
+                const [, ident, ra, dec, vmag, otype, dimensions] = row;
+                const type = SimbadProvider.mapObjectType(otype);
+                // SIMBAD pads identifiers ("M  31")
+                const id = ident?.trim().replace(/\s+/g, ' ');
+                return {
+                    id,
+                    name: id,
+                    ra: parseFloat(ra) / 15,
+                    dec: parseFloat(dec),
+                    magnitude: vmag === null || vmag === undefined ? undefined : parseFloat(vmag),
+                    type,
+                    category: CatalogProvider.dsoCategory(type),
+                    size: parseFloat(dimensions) || undefined
+                };
+            })
+            .filter(obj => obj.category && !isNaN(obj.ra) && !isNaN(obj.dec));
+    }
+
+    static mapObjectType(otype) {
+        switch (otype?.trim()) {
+            case 'GlC':
+            case 'GlobCluster':
+                return 'globular';
+            case 'OpC':
+            case 'OpenCluster':
+            case 'Cl*':
+            case 'Cluster*':
+                return 'open';
+            case 'PN':
+            case 'PlanetaryNeb':
+                return 'planetary';
+            case 'SNR':
+            case 'SNRemnant':
+                return 'supernova';
+            case 'HII':
+            case 'RNe':
+            case 'ISM':
+            case 'EmO':
+            case 'Neb':
+                return 'diffuse';
+            case 'G':
+            case 'Galaxy':
+            case 'GiG':
+            case 'GiC':
+            case 'BiC':
+            case 'Sy2':
+            case 'SBG':
+            case 'LIN':
+            case 'AGN':
+                return 'galaxy';
+            default:
+                return null;
+        }
+    }
+}
+
+// Sun, Moon and planets computed on the spot from the built-in ephemerides,
+// so the solar system needs no network at all
+class EphemerisProvider extends CatalogProvider {
+    constructor({ id = 'ephemeris' } = {}) {
+        super({ id, kinds: ['solarSystem'] });
+    }
+
+    async load() {
+        const date = new Date();
+        this.info = {
+            catalog: 'Built-in ephemerides',
+            version: date.toISOString().slice(0, 16).replace('T', ' ')
+        };
+        return Ephemeris.positions(date).map(({ id, name, ra, dec, magnitude, distance }) => ({
+            id, name, ra, dec, magnitude, distance
+        }));
+    }
+}
+
+class HorizonsProvider extends CatalogProvider {
+    constructor({
+        id = 'jpl-horizons',
+        url = 'https://ssd.jpl.nasa.gov/api/horizons.api',
+        bodies = ['Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune']
+    } = {}) {
+        super({ id, kinds: ['solarSystem'], remote: true });
+        this.url = url;
+        this.bodies = bodies;
+    }
+
+    async load() {
+        const start = new Date();
+        const stop = new Date(start.getTime() + 60 * 60 * 1000);
+        const formatDate = date => date.toISOString().slice(0, 16).replace('T', ' ');
+
+        this.info = {
+            catalog: 'JPL Horizons',
+            version: formatDate(start),
+            source: this.url
+        };
+
+        const bodies = await Promise.all(this.bodies.map(async body => {
+            try {
+                const response = await fetch(this.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded'
+                    },
+                    body: new URLSearchParams({
+                        format: 'json',
+                        COMMAND: `'${body}'`,
+                        OBJ_DATA: 'NO',
+                        EPHEM_TYPE: 'OBSERVER',
+                        CENTER: "'@399'",
+                        START_TIME: `'${formatDate(start)}'`,
+                        STOP_TIME: `'${formatDate(stop)}'`,
+                        STEP_SIZE: "'1 h'",
+                        QUANTITIES: "'1,9,20'",
+                        ANG_FORMAT: 'DEG',
+                        CSV_FORMAT: 'YES'
+                    }).toString()
+                });
+
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                const data = await response.json();
+                return HorizonsProvider.parseEphemeris(data?.result, body);
+            } catch (error) {
+                console.error(`Error loading data for ${body}:`, error);
+                return null;
+            }
+        }));
+
+        return bodies.filter(Boolean);
+    }
+
+    // Reads the first row of a CSV observer table (between $$SOE and $$EOE)
+    static parseEphemeris(result, body) {
+        if (!result) return null;
+
+        const lines = result.split('\n');
+        const start = lines.findIndex(line => line.trim() === '$$SOE');
+        if (start < 1) return null;
+
+        const header = lines[start - 2].split(',').map(column => column.trim());
+        const row = lines[start + 1].split(',').map(value => value.trim());
+        const value = name => {
+            const index = header.findIndex(column => column.startsWith(name));
+            return index === -1 ? NaN : parseFloat(row[index]);
+        };
+
+        const ra = value('R.A.') / 15;
+        const dec = value('DEC');
+        if (isNaN(ra) || isNaN(dec)) return null;
+
+        return {
+            id: body.toLowerCase(),
+            name: body,
+            ra,
+            dec,
+            magnitude: value('APmag'),
+            distance: value('delta')
+        };
+    }
+}
+
+// Comets and asteroids from Minor Planet Center element files: MPCORB.DAT
+// (or any extract of it, e.g. the NEA or bright-asteroid files) and
+// CometEls.txt. Both are fixed-column text; header lines are skipped. Pass a
+// url to fetch or the text itself (e.g. from a file the user picked).
+class MpcProvider extends CatalogProvider {
+    constructor({ id, url = null, text = null, name = null } = {}) {
+        super({ id: id || url || name || 'mpc', kinds: ['minorBodies'] });
+        this.url = url;
+        this.text = text;
+        this.name = name || url;
+    }
+
+    async load() {
+        let text = this.text;
+        if (text === null) {
+            const response = await fetch(this.url);
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            text = await response.text();
+        }
+
+        const records = MpcProvider.parse(text);
+        this.info = {
+            catalog: 'MPC orbital elements',
+            version: `${records.length} objects`,
+            source: this.name
+        };
+        return records;
+    }
+
+    static parse(text) {
+        return text.split(/\r?\n/)
+            .map(line => MpcProvider.parseComet(line) || MpcProvider.parseAsteroid(line))
+            .filter(Boolean);
+    }
+
+    // One line of MPCORB.DAT (mean anomaly at an epoch)
+    static parseAsteroid(line) {
+        const epoch = MpcProvider.unpackEpoch(line.slice(20, 25));
+        if (epoch === null || line.length < 103) return null;
+
+        const column = (start, end) => parseFloat(line.slice(start - 1, end));
+        const e = column(71, 79);
+        const a = column(93, 103);
+        const meanAnomaly = column(27, 35);
+        if (!(a > 0) || !(e >= 0 && e < 1) || isNaN(meanAnomaly)) return null;
+
+        const packed = line.slice(0, 7).trim();
+        const name = line.slice(166, 194).trim() || packed;
+        // Daily motion from the semimajor axis when the column is missing
+        const motion = column(81, 91) || Ephemeris.GAUSSIAN_GRAVITY / a ** 1.5 * 180 / Math.PI;
+
+        return {
+            id: `mpc-${packed}`,
+            name,
+            type: 'asteroid',
+            absoluteMagnitude: isNaN(column(9, 13)) ? undefined : column(9, 13),
+            slope: isNaN(column(15, 19)) ? undefined : column(15, 19),
+            orbit: {
+                perihelionDistance: a * (1 - e),
+                eccentricity: e,
+                inclination: column(60, 68),
+                node: column(49, 57),
+                perihelion: column(38, 46),
+                // Back up the mean anomaly to the last perihelion
+                perihelionTime: epoch - (AstroTime.normalizeDegrees(meanAnomaly + 180) - 180) / motion
+            }
+        };
+    }
+
+    // One line of CometEls.txt (time of perihelion passage)
+    static parseComet(line) {
+        if (line.length < 103 || !/^\d{4}$/.test(line.slice(14, 18)) || !/[CPDXAI]/.test(line[4])) return null;
+
+        const column = (start, end) => parseFloat(line.slice(start - 1, end));
+        const day = column(23, 29);
+        const q = column(31, 39);
+        const e = column(42, 49);
+        if (!(q > 0) || isNaN(e) || isNaN(day)) return null;
+
+        const month = parseInt(line.slice(19, 21), 10);
+        const perihelionTime = AstroTime.julianDate(new Date(Date.UTC(column(15, 18), month - 1, 1))) + day - 1;
+        const name = line.slice(102, 158).trim();
+
+        return {
+            id: `mpc-${name || line.slice(0, 12).trim()}`,
+            name: name || line.slice(0, 12).trim(),
+            type: 'comet',
+            absoluteMagnitude: isNaN(column(92, 95)) ? undefined : column(92, 95),
+            slope: isNaN(column(97, 100)) ? undefined : column(97, 100),
+            orbit: {
+                perihelionDistance: q,
+                eccentricity: e,
+                inclination: column(72, 79),
+                node: column(62, 69),
+                perihelion: column(52, 59),
+                perihelionTime
+            }
+        };
+    }
+
+    // Packed MPC date, e.g. K24AH = 2024 Oct 17.0 TT, to a Julian date
+    static unpackEpoch(packed) {
+        const match = /^([IJK])(\d\d)([1-9A-C])([1-9A-V])$/.exec(packed);
+        if (!match) return null;
+
+        const digit = character => parseInt(character, 36);
+        const year = (digit(match[1]) - digit('I') + 18) * 100 + parseInt(match[2], 10);
+        return AstroTime.julianDate(new Date(Date.UTC(year, digit(match[3]) - 1, digit(match[4]))));
+    }
+}
+
+// Artificial satellites from a Two-Line Element file (e.g. a CelesTrak group
+// like stations.txt or visual.txt), fetched from a url or given as text
+class TleProvider extends CatalogProvider {
+    constructor({ id, url = null, text = null, name = null } = {}) {
+        super({ id: id || url || name || 'tle', kinds: ['satellites'] });
+        this.url = url;
+        this.text = text;
+        this.name = name || url;
+    }
+
+    async load() {
+        let text = this.text;
+        if (text === null) {
+            const response = await fetch(this.url);
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            text = await response.text();
+        }
+
+        const satellites = Satellites.parseTle(text);
+        this.info = {
+            catalog: 'Two-Line Elements',
+            version: `${satellites.length} satellites`,
+            source: this.name
+        };
+        return satellites;
+    }
+}
+
+// Serves fixed records; meant for tests and offline demos
+class MockProvider extends CatalogProvider {
+    constructor({ id = 'mock', records = {}, delay = 0, remote = false } = {}) {
+        super({ id, kinds: Object.keys(records), remote });
+        this.records = records;
+        this.delay = delay;
+        this.info = {
+            catalog: 'mock',
+            version: 'mock',
+            source: id
+        };
+    }
+
+    async load(kind) {
+        if (this.delay) {
+            await new Promise(resolve => setTimeout(resolve, this.delay));
+        }
+        return (this.records[kind] || []).map(record => ({ ...record }));
+    }
+}
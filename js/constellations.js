@@ -0,0 +1,114 @@
+// The 88 IAU constellations: names, label positions and boundaries.
+//
+// Boundaries are kept in their B1875 definition, where every edge runs along
+// a parallel or a meridian. That makes "which constellation is this point in"
+// an exact test once the point is precessed back to B1875 (this is how Roman
+// 1987 does it), and the drawn outlines are precessed forward to the date.
+class Constellations {
+    constructor() {
+        this.list = [];
+        this.byAbbreviation = {};
+    }
+
+    async load(url = 'data/constellations.json') {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const data = await response.json();
+            this.setData(data.constellations || []);
+            console.log(`Loaded ${this.list.length} constellations`);
+        } catch (error) {
+            console.warn('Could not load constellations:', error);
+        }
+        return this;
+    }
+
+    setData(constellations) {
+        this.list = constellations.map(constellation => ({
+            ...constellation,
+            boundaries: (constellation.boundaries || []).map(ring => Constellations.prepareRing(ring))
+        }));
+        this.byAbbreviation = {};
+        this.list.forEach(constellation => {
+            this.byAbbreviation[constellation.abbr] = constellation;
+        });
+    }
+
+    get(abbr) {
+        return this.byAbbreviation[abbr] || null;
+    }
+
+    // Languages names are available in; 'la' is the IAU (Latin) name
+    get languages() {
+        return ['la', ...Object.keys(this.list[0]?.names || {})];
+    }
+
+    // Name in a language, falling back to the IAU name
+    static localName(constellation, language = 'la') {
+        return constellation.names?.[language] || constellation.name;
+    }
+
+    // J2000 -> B1875 mean equator and equinox
+    static get toB1875() {
+        if (!Constellations.b1875Matrix) {
+            const b1875 = AstroTime.dateFromJulianDate(Constellations.B1875_JD);
+            const j2000 = AstroTime.dateFromJulianDate(2451545.0);
+            Constellations.b1875Matrix = Astrometry.multiply(
+                Astrometry.precessionMatrix(b1875),
+                Astrometry.transpose(Astrometry.precessionMatrix(j2000))
+            );
+        }
+        return Constellations.b1875Matrix;
+    }
+
+    // Constellation containing a J2000 RA (hours) / Dec (degrees), or null
+    find(ra, dec) {
+        const point = Astrometry.fromVector(
+            Astrometry.applyMatrix(Constellations.toB1875, Astrometry.toVector(ra, dec))
+        );
+        return this.list.find(constellation =>
+            constellation.boundaries.some(ring => Constellations.ringContains(ring, point.ra, point.dec))
+        ) || null;
+    }
+
+    // Splits a ring of [ra, dec] vertices into its parallel (constant Dec)
+    // edges, which are the only ones a southward ray can cross, and notes
+    // whether the ring goes right round the south pole
+    static prepareRing(vertices) {
+        const parallels = [];
+        let winding = 0;
+        vertices.forEach((from, i) => {
+            const to = vertices[(i + 1) % vertices.length];
+            const span = ((to[0] - from[0] + 36) % 24) - 12;
+            winding += span;
+            if (from[1] === to[1] && span !== 0) {
+                parallels.push({ ra: from[0], span, dec: from[1] });
+            }
+        });
+        const polar = Math.abs(winding) > 12;
+        return {
+            vertices,
+            parallels,
+            southPolar: polar && vertices.every(vertex => vertex[1] < 0)
+        };
+    }
+
+    // Casts a ray from the point towards the south pole and counts the
+    // boundary parallels it crosses
+    static ringContains(ring, ra, dec) {
+        let inside = false;
+        ring.parallels.forEach(edge => {
+            if (edge.dec >= dec) return;
+            // Half-open RA interval so a ray through a vertex counts once
+            const offset = edge.span > 0 ? (ra - edge.ra + 24) % 24 : (edge.ra - ra + 24) % 24;
+            if (offset < Math.abs(edge.span) && !(edge.span < 0 && offset === 0)) {
+                inside = !inside;
+            }
+        });
+        // The ray from inside a south polar ring never leaves it
+        return ring.southPolar ? !inside : inside;
+    }
+}
+
+// Besselian epoch B1875.0
+Constellations.B1875_JD = 2405889.258550475;
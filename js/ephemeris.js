@@ -0,0 +1,665 @@
+// Positions of the Sun, Moon and planets without any network access.
+//
+// Planets use the JPL approximate Keplerian elements with secular rates
+// (Standish, valid 3000 BC - 3000 AD, good to a few arcminutes); the Moon uses
+// the truncated ELP-2000/82 series from Meeus, Astronomical Algorithms ch. 47.
+// Positions come back as the apparent direction (light time and aberration
+// applied) in J2000 axes, so they go through the same precession/nutation
+// path as the stars. Distances are in AU.
+class Ephemeris {
+    // Sun, Moon and planets for a date, seen from an observer { latitude,
+    // longitude } (degrees) when one is given, otherwise from the Earth's center
+    static positions(date, observer = null) {
+        const t = AstroTime.julianCenturies(date);
+        const earth = Ephemeris.earthPosition(t);
+        const earthVelocity = Ephemeris.earthVelocity(t);
+        const observerOffset = observer ? Ephemeris.observerPosition(date, observer) : [0, 0, 0];
+
+        // Annual aberration: shift the direction by the Earth's velocity over c
+        const apparent = geocentric => {
+            const topocentric = Ephemeris.subtract(geocentric, observerOffset);
+            const distance = Ephemeris.length(topocentric);
+            const direction = topocentric.map((value, i) => value / distance + earthVelocity[i] / Ephemeris.SPEED_OF_LIGHT);
+            return { ...Astrometry.fromVector(direction), distance };
+        };
+
+        const sunDistance = Ephemeris.length(earth);
+        const sun = apparent(earth.map(value => -value));
+        const bodies = [{
+            id: 'sun',
+            name: 'Sun',
+            type: 'sun',
+            ...sun,
+            magnitude: -26.74 + 5 * Math.log10(sunDistance),
+            angularDiameter: 1919.26 / sunDistance
+        }];
+
+        Object.entries(Ephemeris.planets).forEach(([id, planet]) => {
+            const geocentric = Ephemeris.geocentric(planet, t, earth);
+            const heliocentric = Ephemeris.add(geocentric, earth);
+            const r = Ephemeris.length(heliocentric);
+            const delta = Ephemeris.length(geocentric);
+            const phaseAngle = Ephemeris.phaseAngle(r, delta, sunDistance);
+
+            bodies.push({
+                id,
+                name: planet.name,
+                type: 'planet',
+                ...apparent(geocentric),
+                magnitude: Ephemeris.planetMagnitude(id, r, delta, phaseAngle, geocentric),
+                angularDiameter: planet.diameter / delta,
+                phaseAngle,
+                illumination: (1 + Math.cos(phaseAngle * Math.PI / 180)) / 2,
+                heliocentricDistance: r
+            });
+        });
+
+        const moon = Ephemeris.moonPosition(t);
+        const moonDistance = Ephemeris.length(moon);
+        const moonHeliocentric = Ephemeris.length(Ephemeris.add(moon, earth));
+        const moonPhaseAngle = Ephemeris.phaseAngle(moonHeliocentric, moonDistance, sunDistance);
+        const topocentricMoon = Ephemeris.subtract(moon, observerOffset);
+        const topocentricDistance = Ephemeris.length(topocentricMoon);
+        const moonDirection = Astrometry.fromVector(topocentricMoon);
+        const elongation = Ephemeris.moonElongation(moon, earth);
+        bodies.push({
+            id: 'moon',
+            name: 'Moon',
+            type: 'moon',
+            // The Meeus series already includes the Moon's (nearly constant) aberration
+            ...moonDirection,
+            distance: topocentricDistance,
+            magnitude: -12.73 + 0.026 * moonPhaseAngle + 4e-9 * moonPhaseAngle ** 4 +
+                5 * Math.log10(moonDistance * Ephemeris.AU_KM / 384400 * moonHeliocentric),
+            angularDiameter: 2 * Math.asin(Ephemeris.MOON_RADIUS_KM / (topocentricDistance * Ephemeris.AU_KM)) * 180 / Math.PI * 3600,
+            phaseAngle: moonPhaseAngle,
+            illumination: (1 + Math.cos(moonPhaseAngle * Math.PI / 180)) / 2,
+            elongation,
+            age: Ephemeris.moonAge(t, elongation),
+            phaseName: Ephemeris.moonPhaseName(elongation),
+            brightLimbAngle: Ephemeris.positionAngle(moonDirection, sun)
+        });
+
+        return bodies;
+    }
+
+    // Geocentric RA/Dec paths of the planets over the days either side of a
+    // date, one point every step days: { mars: [{ ra, dec, date }, ...], ... }
+    static planetPaths(date, days = 182, step = 1) {
+        const paths = {};
+        Object.keys(Ephemeris.planets).forEach(id => { paths[id] = []; });
+
+        for (let day = -days; day <= days; day += step) {
+            const pointDate = new Date(date.getTime() + day * 86400000);
+            const t = AstroTime.julianCenturies(pointDate);
+            const earth = Ephemeris.earthPosition(t);
+            Object.entries(Ephemeris.planets).forEach(([id, planet]) => {
+                paths[id].push({
+                    ...Astrometry.fromVector(Ephemeris.geocentric(planet, t, earth)),
+                    date: pointDate
+                });
+            });
+        }
+        return paths;
+    }
+
+    // Planet relative to the Earth (AU, J2000 axes) where it was when the
+    // light we see left it
+    static geocentric(planet, t, earth) {
+        let geocentric = Ephemeris.subtract(Ephemeris.heliocentric(planet, t), earth);
+        for (let i = 0; i < 2; i++) {
+            const lightTime = Ephemeris.length(geocentric) * Ephemeris.LIGHT_TIME_PER_AU / 36525;
+            geocentric = Ephemeris.subtract(Ephemeris.heliocentric(planet, t - lightTime), earth);
+        }
+        return geocentric;
+    }
+
+    // Heliocentric position in J2000 equatorial axes (AU) at t Julian centuries
+    static heliocentric(planet, t) {
+        const [a, e, inclination, meanLongitude, perihelion, node] =
+            planet.elements.map((value, i) => value + planet.rates[i] * t);
+        const degree = Math.PI / 180;
+
+        let meanAnomaly = meanLongitude - perihelion;
+        if (planet.terms) {
+            const [b, c, s, f] = planet.terms;
+            meanAnomaly += b * t * t + c * Math.cos(f * t * degree) + s * Math.sin(f * t * degree);
+        }
+        const anomaly = Ephemeris.solveKepler(AstroTime.normalizeDegrees(meanAnomaly + 180) - 180, e);
+
+        // Position in the orbital plane, then rotated onto the ecliptic
+        const xOrbit = a * (Math.cos(anomaly) - e);
+        const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(anomaly);
+        const omega = (perihelion - node) * degree;
+        const i = inclination * degree;
+        const n = node * degree;
+        return Ephemeris.orbitToEquatorial(xOrbit, yOrbit, omega, n, i);
+    }
+
+    // Orbital plane coordinates (x towards perihelion) to J2000 equatorial,
+    // for an argument of perihelion, node and inclination in radians on the
+    // J2000 ecliptic
+    static orbitToEquatorial(xOrbit, yOrbit, omega, n, i) {
+        const ecliptic = [
+            (Math.cos(omega) * Math.cos(n) - Math.sin(omega) * Math.sin(n) * Math.cos(i)) * xOrbit +
+                (-Math.sin(omega) * Math.cos(n) - Math.cos(omega) * Math.sin(n) * Math.cos(i)) * yOrbit,
+            (Math.cos(omega) * Math.sin(n) + Math.sin(omega) * Math.cos(n) * Math.cos(i)) * xOrbit +
+                (-Math.sin(omega) * Math.sin(n) + Math.cos(omega) * Math.cos(n) * Math.cos(i)) * yOrbit,
+            Math.sin(omega) * Math.sin(i) * xOrbit + Math.cos(omega) * Math.sin(i) * yOrbit
+        ];
+        return Astrometry.applyMatrix(Ephemeris.eclipticToEquatorial, ecliptic);
+    }
+
+    // Comets and asteroids from osculating elements (see MpcProvider): the
+    // same apparent RA/Dec, distance and magnitude as positions(), plus the
+    // direction of a simple tail pointing away from the Sun for comets
+    static minorBodyPositions(bodies, date, observer = null) {
+        const t = AstroTime.julianCenturies(date);
+        const earth = Ephemeris.earthPosition(t);
+        const earthVelocity = Ephemeris.earthVelocity(t);
+        const observerOffset = observer ? Ephemeris.observerPosition(date, observer) : [0, 0, 0];
+        const sunDistance = Ephemeris.length(earth);
+        const jd = AstroTime.julianDateTT(date);
+
+        const apparent = geocentric => {
+            const topocentric = Ephemeris.subtract(geocentric, observerOffset);
+            const distance = Ephemeris.length(topocentric);
+            const direction = topocentric.map((value, i) => value / distance + earthVelocity[i] / Ephemeris.SPEED_OF_LIGHT);
+            return { ...Astrometry.fromVector(direction), distance };
+        };
+
+        return bodies.map(body => {
+            let heliocentric = Ephemeris.orbitalPosition(body.orbit, jd);
+            if (!heliocentric) return null;
+            const lightTime = Ephemeris.length(Ephemeris.subtract(heliocentric, earth)) * Ephemeris.LIGHT_TIME_PER_AU;
+            heliocentric = Ephemeris.orbitalPosition(body.orbit, jd - lightTime) || heliocentric;
+
+            const geocentric = Ephemeris.subtract(heliocentric, earth);
+            const r = Ephemeris.length(heliocentric);
+            const delta = Ephemeris.length(geocentric);
+            const phaseAngle = Ephemeris.phaseAngle(r, delta, sunDistance);
+
+            const position = {
+                ...body,
+                ...apparent(geocentric),
+                magnitude: Ephemeris.minorBodyMagnitude(body, r, delta, phaseAngle),
+                phaseAngle,
+                heliocentricDistance: r
+            };
+            if (body.type === 'comet' && r < Ephemeris.TAIL_MAX_DISTANCE) {
+                // A tail that grows with the comet's brightness and towards the
+                // Sun, laid out in space so it foreshortens like the real thing
+                const activity = 0.02 * Math.pow(10, -0.2 * ((body.absoluteMagnitude ?? 10) - 6));
+                const length = Math.min(0.3, activity / (r * r));
+                position.tail = apparent(heliocentric.map((value, i) => value * (1 + length / r) - earth[i]));
+            }
+            return position;
+        }).filter(Boolean);
+    }
+
+    // Heliocentric J2000 equatorial position (AU) from { perihelionDistance,
+    // eccentricity, inclination, node, perihelion (argument, degrees),
+    // perihelionTime (JD) } at a Julian date; works for any eccentricity
+    static orbitalPosition(orbit, jd) {
+        const { perihelionDistance: q, eccentricity: e } = orbit;
+        const days = jd - orbit.perihelionTime;
+        const k = Ephemeris.GAUSSIAN_GRAVITY;
+        let xOrbit, yOrbit;
+
+        if (Math.abs(e - 1) < 1e-6) {
+            // Parabola: Barker's equation solved for tan(v / 2)
+            const w = 3 * k / Math.sqrt(2 * q ** 3) * days;
+            const y = Math.cbrt(w / 2 + Math.sqrt(w * w / 4 + 1));
+            const s = y - 1 / y;
+            xOrbit = q * (1 - s * s);
+            yOrbit = 2 * q * s;
+        } else if (e < 1) {
+            const a = q / (1 - e);
+            const meanAnomaly = k * days / a ** 1.5 * 180 / Math.PI;
+            const anomaly = Ephemeris.solveKepler(AstroTime.normalizeDegrees(meanAnomaly + 180) - 180, e);
+            xOrbit = a * (Math.cos(anomaly) - e);
+            yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(anomaly);
+        } else {
+            // Hyperbola: e sinh H - H = M
+            const a = q / (e - 1);
+            const meanAnomaly = k * days / a ** 1.5;
+            let anomaly = Math.asinh(meanAnomaly / e);
+            for (let i = 0; i < 50; i++) {
+                const delta = (e * Math.sinh(anomaly) - anomaly - meanAnomaly) / (e * Math.cosh(anomaly) - 1);
+                anomaly -= delta;
+                if (Math.abs(delta) < 1e-12) break;
+            }
+            xOrbit = a * (e - Math.cosh(anomaly));
+            yOrbit = a * Math.sqrt(e * e - 1) * Math.sinh(anomaly);
+        }
+        if (!isFinite(xOrbit) || !isFinite(yOrbit)) return null;
+
+        const degree = Math.PI / 180;
+        return Ephemeris.orbitToEquatorial(
+            xOrbit, yOrbit, orbit.perihelion * degree, orbit.node * degree, orbit.inclination * degree
+        );
+    }
+
+    // Asteroids: H, G magnitude system (Bowell et al. 1989). Comets: total
+    // magnitude g + 5 log delta + 2.5 k log r as in the MPC files.
+    static minorBodyMagnitude(body, r, delta, phaseAngle) {
+        const { absoluteMagnitude: h = 15, slope } = body;
+        if (body.type === 'comet') {
+            return h + 5 * Math.log10(delta) + 2.5 * (slope ?? 4) * Math.log10(r);
+        }
+        const g = slope ?? 0.15;
+        const halfTan = Math.tan(phaseAngle * Math.PI / 360);
+        const phi1 = Math.exp(-3.33 * halfTan ** 0.63);
+        const phi2 = Math.exp(-1.87 * halfTan ** 1.22);
+        return h + 5 * Math.log10(r * delta) - 2.5 * Math.log10((1 - g) * phi1 + g * phi2);
+    }
+
+    // The brightest a comet or asteroid can ever get: its magnitude with the
+    // Sun and Earth distances at the smallest its orbit allows (and no phase
+    // dimming). Bodies past the drawing limit here never need propagating.
+    static minorBodyBrightest(body) {
+        const { absoluteMagnitude: h = 15, slope, orbit } = body;
+        const q = orbit.perihelionDistance;
+        const aphelion = orbit.eccentricity < 1 ? q * (1 + orbit.eccentricity) / (1 - orbit.eccentricity) : Infinity;
+        const [earthNear, earthFar] = Ephemeris.EARTH_SUN_RANGE;
+        const delta = Math.max(q - earthFar, earthNear - aphelion, Ephemeris.CLOSEST_APPROACH);
+
+        if (body.type === 'comet') {
+            const k = slope ?? 4;
+            // r^(2.5k) is smallest at perihelion unless the slope is negative
+            const r = k >= 0 ? q : aphelion;
+            return h + 5 * Math.log10(delta) + 2.5 * k * Math.log10(r);
+        }
+        return h + 5 * Math.log10(q * delta);
+    }
+
+    // Eccentric anomaly in radians for a mean anomaly in degrees
+    static solveKepler(meanAnomaly, e) {
+        const m = meanAnomaly * Math.PI / 180;
+        // Starting from pi keeps Newton's method stable for comet-like orbits
+        let anomaly = e > 0.8 ? Math.PI * (m < 0 ? -1 : 1) : m + e * Math.sin(m);
+        for (let i = 0; i < 50; i++) {
+            const delta = (anomaly - e * Math.sin(anomaly) - m) / (1 - e * Math.cos(anomaly));
+            anomaly -= delta;
+            if (Math.abs(delta) < 1e-12) break;
+        }
+        return anomaly;
+    }
+
+    // The elements are for the Earth-Moon barycenter; take the Moon's share out
+    static earthPosition(t) {
+        const barycenter = Ephemeris.heliocentric(Ephemeris.earthMoonBarycenter, t);
+        const moon = Ephemeris.moonPosition(t);
+        return barycenter.map((value, i) => value - moon[i] / (1 + Ephemeris.EARTH_MOON_MASS_RATIO));
+    }
+
+    // AU per day, from the barycenter a day either side
+    static earthVelocity(t) {
+        const day = 1 / 36525;
+        const before = Ephemeris.heliocentric(Ephemeris.earthMoonBarycenter, t - day / 2);
+        const after = Ephemeris.heliocentric(Ephemeris.earthMoonBarycenter, t + day / 2);
+        return Ephemeris.subtract(after, before);
+    }
+
+    // Geocentric Moon (Meeus ch. 47): ecliptic longitude and latitude of the
+    // mean equinox of date (degrees) and distance (km)
+    static moonEcliptic(t) {
+        const degree = Math.PI / 180;
+        const polynomial = (coefficients) => coefficients.reduceRight((sum, c) => sum * t + c, 0);
+
+        const meanLongitude = polynomial([218.3164477, 481267.88123421, -0.0015786, 1 / 538841, -1 / 65194000]);
+        const d = polynomial([297.8501921, 445267.1114034, -0.0018819, 1 / 545868, -1 / 113065000]) * degree;
+        const m = polynomial([357.5291092, 35999.0502909, -0.0001536, 1 / 24490000]) * degree;
+        const mp = polynomial([134.9633964, 477198.8675055, 0.0087414, 1 / 69699, -1 / 14712000]) * degree;
+        const f = polynomial([93.2720950, 483202.0175233, -0.0036539, -1 / 3526000, 1 / 863310000]) * degree;
+        const a1 = (119.75 + 131.849 * t) * degree;
+        const a2 = (53.09 + 479264.290 * t) * degree;
+        const a3 = (313.45 + 481266.484 * t) * degree;
+        const lp = meanLongitude * degree;
+
+        // Terms with the Sun's anomaly shrink with the Earth's eccentricity
+        const e = 1 - 0.002516 * t - 0.0000074 * t * t;
+        const eccentricity = multiple => Math.abs(multiple) === 2 ? e * e : (multiple ? e : 1);
+
+        let longitude = 3958 * Math.sin(a1) + 1962 * Math.sin(lp - f) + 318 * Math.sin(a2);
+        let distance = 0;
+        Ephemeris.moonLongitudeTerms.forEach(([dm, mm, mpm, fm, sl, sr]) => {
+            const arg = dm * d + mm * m + mpm * mp + fm * f;
+            longitude += sl * eccentricity(mm) * Math.sin(arg);
+            distance += sr * eccentricity(mm) * Math.cos(arg);
+        });
+
+        let latitude = -2235 * Math.sin(lp) + 382 * Math.sin(a3) + 175 * Math.sin(a1 - f) +
+            175 * Math.sin(a1 + f) + 127 * Math.sin(lp - mp) - 115 * Math.sin(lp + mp);
+        Ephemeris.moonLatitudeTerms.forEach(([dm, mm, mpm, fm, sb]) => {
+            latitude += sb * eccentricity(mm) * Math.sin(dm * d + mm * m + mpm * mp + fm * f);
+        });
+
+        return {
+            longitude: AstroTime.normalizeDegrees(meanLongitude + longitude / 1000000),
+            latitude: latitude / 1000000,
+            distance: 385000.56 + distance / 1000
+        };
+    }
+
+    // Geocentric Moon in J2000 equatorial axes (AU)
+    static moonPosition(t) {
+        const { longitude, latitude, distance } = Ephemeris.moonEcliptic(t);
+        const date = AstroTime.dateFromJulianDate(2451545.0 + t * 36525);
+        const ofDate = Astrometry.eclipticToEquatorial(longitude, latitude, Astrometry.meanObliquity(date));
+        const j2000 = Astrometry.dateToJ2000(ofDate.ra, ofDate.dec, Astrometry.precessionMatrix(date));
+        return Astrometry.toVector(j2000.ra, j2000.dec).map(value => value * distance / Ephemeris.AU_KM);
+    }
+
+    // Moon's ecliptic longitude minus the Sun's (degrees, 0-360): 0 at new
+    // moon, 90 at first quarter, 180 at full
+    static moonElongation(moon, earth) {
+        const toEcliptic = Astrometry.transpose(Ephemeris.eclipticToEquatorial);
+        const longitude = v => {
+            const ecliptic = Astrometry.applyMatrix(toEcliptic, v);
+            return Math.atan2(ecliptic[1], ecliptic[0]) * 180 / Math.PI;
+        };
+        return AstroTime.normalizeDegrees(longitude(moon) - longitude(earth.map(value => -value)));
+    }
+
+    // Days since the last new moon. The Moon's speed varies, so step back by
+    // the mean rate and correct from the elongation found there.
+    static moonAge(t, elongation) {
+        let age = elongation / 360 * Ephemeris.SYNODIC_MONTH;
+        for (let i = 0; i < 3; i++) {
+            const newMoon = t - age / 36525;
+            const remaining = AstroTime.normalizeDegrees(
+                Ephemeris.moonElongation(Ephemeris.moonPosition(newMoon), Ephemeris.earthPosition(newMoon)) + 180
+            ) - 180;
+            age += remaining / 360 * Ephemeris.SYNODIC_MONTH;
+        }
+        return age;
+    }
+
+    static moonPhaseName(elongation) {
+        const index = Math.floor(AstroTime.normalizeDegrees(elongation + 22.5) / 45) % 8;
+        return Ephemeris.moonPhaseNames[index];
+    }
+
+    // Position angle (degrees, north through east) of the direction from one
+    // RA/Dec to another; for the Moon and the Sun this is the bright limb
+    static positionAngle(from, to) {
+        const degree = Math.PI / 180;
+        const deltaRa = (to.ra - from.ra) * 15 * degree;
+        const fromDec = from.dec * degree;
+        const toDec = to.dec * degree;
+        const angle = Math.atan2(
+            Math.cos(toDec) * Math.sin(deltaRa),
+            Math.sin(toDec) * Math.cos(fromDec) - Math.cos(toDec) * Math.sin(fromDec) * Math.cos(deltaRa)
+        );
+        return AstroTime.normalizeDegrees(angle * 180 / Math.PI);
+    }
+
+    // Observer's offset from the Earth's center in J2000 axes (AU), ignoring
+    // the Earth's flattening
+    static observerPosition(date, { latitude, longitude }) {
+        const lst = AstroTime.localSiderealTime(date, longitude);
+        const ofDate = Astrometry.toVector(lst / 15, latitude).map(value => value * Ephemeris.EARTH_RADIUS_KM / Ephemeris.AU_KM);
+        return Astrometry.applyMatrix(Astrometry.transpose(Astrometry.precessionNutationMatrix(date)), ofDate);
+    }
+
+    // Sun-body-Earth angle in degrees from the three distances
+    static phaseAngle(r, delta, sunDistance) {
+        const cos = (r * r + delta * delta - sunDistance * sunDistance) / (2 * r * delta);
+        return Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+    }
+
+    // Visual magnitudes (Astronomical Almanac 1984 expressions, Meeus ch. 41)
+    static planetMagnitude(id, r, delta, i, geocentric) {
+        const distance = 5 * Math.log10(r * delta);
+        switch (id) {
+            case 'mercury':
+                return -0.42 + distance + 0.0380 * i - 0.000273 * i ** 2 + 0.000002 * i ** 3;
+            case 'venus':
+                return -4.40 + distance + 0.0009 * i + 0.000239 * i ** 2 - 0.00000065 * i ** 3;
+            case 'mars':
+                return -1.52 + distance + 0.016 * i;
+            case 'jupiter':
+                return -9.40 + distance + 0.005 * i;
+            case 'saturn': {
+                // The rings brighten Saturn as they open towards us
+                const length = Ephemeris.length(geocentric);
+                const sinTilt = Math.abs(Ephemeris.saturnPole.reduce((sum, value, k) => sum + value * geocentric[k] / length, 0));
+                return -8.88 + distance + 0.044 * i - 2.60 * sinTilt + 1.25 * sinTilt ** 2;
+            }
+            case 'uranus':
+                return -7.19 + distance;
+            case 'neptune':
+                return -6.87 + distance;
+            default:
+                return distance;
+        }
+    }
+
+    static add(a, b) {
+        return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+    }
+
+    static subtract(a, b) {
+        return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    }
+
+    static length(v) {
+        return Math.hypot(v[0], v[1], v[2]);
+    }
+}
+
+Ephemeris.AU_KM = 149597870.7;
+Ephemeris.EARTH_RADIUS_KM = 6378.14;
+Ephemeris.MOON_RADIUS_KM = 1737.4;
+Ephemeris.EARTH_MOON_MASS_RATIO = 81.30057;
+// AU^(3/2) per day, the Sun's gravity in the units of orbital elements
+Ephemeris.GAUSSIAN_GRAVITY = 0.01720209895;
+// Comets further from the Sun than this (AU) are drawn without a tail
+Ephemeris.TAIL_MAX_DISTANCE = 5;
+// Perihelion and aphelion of the Earth (AU), and the distance (AU) taken as
+// the closest an Earth-crossing body can come when bounding its magnitude
+Ephemeris.EARTH_SUN_RANGE = [0.983, 1.017];
+Ephemeris.CLOSEST_APPROACH = 0.01;
+// Mean new moon to new moon, days
+Ephemeris.SYNODIC_MONTH = 29.530588853;
+
+Ephemeris.moonPhaseNames = [
+    'New Moon', 'Waxing Crescent', 'First Quarter', 'Waxing Gibbous',
+    'Full Moon', 'Waning Gibbous', 'Last Quarter', 'Waning Crescent'
+];
+// AU per day, and days of light time per AU
+Ephemeris.SPEED_OF_LIGHT = 173.1446327;
+Ephemeris.LIGHT_TIME_PER_AU = 0.0057755183;
+
+// J2000 ecliptic -> equator (obliquity 23.4392911°)
+Ephemeris.eclipticToEquatorial = Astrometry.rotationX(-23.4392911 * Math.PI / 180);
+
+// Saturn's north pole (ring plane normal), J2000 RA 40.589°, Dec 83.537°
+Ephemeris.saturnPole = Astrometry.toVector(40.589 / 15, 83.537);
+
+// Elements at J2000 and rates per century: a (AU), e, I, L, longitude of
+// perihelion, longitude of the node (degrees). Jupiter to Neptune carry the
+// extra b, c, s, f terms for the mean anomaly. Diameters in arcseconds at 1 AU.
+Ephemeris.earthMoonBarycenter = {
+    elements: [1.00000018, 0.01673163, -0.00054346, 100.46691572, 102.93005885, -5.11260389],
+    rates: [-0.00000003, -0.00003661, -0.01337178, 35999.37306329, 0.31795260, -0.24123856]
+};
+
+Ephemeris.planets = {
+    mercury: {
+        name: 'Mercury',
+        elements: [0.38709843, 0.20563661, 7.00559432, 252.25166724, 77.45771895, 48.33961819],
+        rates: [0.00000000, 0.00002123, -0.00590158, 149472.67486623, 0.15940013, -0.12214182],
+        diameter: 6.74
+    },
+    venus: {
+        name: 'Venus',
+        elements: [0.72332102, 0.00676399, 3.39777545, 181.97970850, 131.76755713, 76.67261496],
+        rates: [-0.00000026, -0.00005107, 0.00043494, 58517.81560260, 0.05679648, -0.27274174],
+        diameter: 16.92
+    },
+    mars: {
+        name: 'Mars',
+        elements: [1.52371243, 0.09336511, 1.85181869, -4.56813164, -23.91744784, 49.71320984],
+        rates: [0.00000097, 0.00009149, -0.00724757, 19140.29934243, 0.45223625, -0.26852431],
+        diameter: 9.36
+    },
+    jupiter: {
+        name: 'Jupiter',
+        elements: [5.20248019, 0.04853590, 1.29861416, 34.33479152, 14.27495244, 100.29282654],
+        rates: [-0.00002864, 0.00018026, -0.00322699, 3034.90371757, 0.18199196, 0.13024619],
+        terms: [-0.00012452, 0.06064060, -0.35635438, 38.35125000],
+        diameter: 196.94
+    },
+    saturn: {
+        name: 'Saturn',
+        elements: [9.54149883, 0.05550825, 2.49424102, 50.07571329, 92.86136063, 113.63998702],
+        rates: [-0.00003065, -0.00032044, 0.00451969, 1222.11494724, 0.54179478, -0.25015002],
+        terms: [0.00025899, -0.13434469, 0.87320147, 38.35125000],
+        diameter: 165.6
+    },
+    uranus: {
+        name: 'Uranus',
+        elements: [19.18797948, 0.04685740, 0.77298127, 314.20276625, 172.43404441, 73.96250215],
+        rates: [-0.00020455, -0.00001550, -0.00180155, 428.49512595, 0.09266985, 0.05739699],
+        terms: [0.00058331, -0.97731848, 0.17689245, 7.67025000],
+        diameter: 70.48
+    },
+    neptune: {
+        name: 'Neptune',
+        elements: [30.06952752, 0.00895439, 1.77005520, 304.22289287, 46.68158724, 131.78635853],
+        rates: [0.00006447, 0.00000818, 0.00022400, 218.46515314, 0.01009938, -0.00606302],
+        terms: [-0.00041348, 0.68346318, -0.10162547, 7.67025000],
+        diameter: 68.3
+    }
+};
+
+// Meeus table 47.A: multiples of D, M, M', F and the longitude (0.000001°)
+// and distance (0.001 km) coefficients
+Ephemeris.moonLongitudeTerms = [
+    [0, 0, 1, 0, 6288774, -20905355],
+    [2, 0, -1, 0, 1274027, -3699111],
+    [2, 0, 0, 0, 658314, -2955968],
+    [0, 0, 2, 0, 213618, -569925],
+    [0, 1, 0, 0, -185116, 48888],
+    [0, 0, 0, 2, -114332, -3149],
+    [2, 0, -2, 0, 58793, 246158],
+    [2, -1, -1, 0, 57066, -152138],
+    [2, 0, 1, 0, 53322, -170733],
+    [2, -1, 0, 0, 45758, -204586],
+    [0, 1, -1, 0, -40923, -129620],
+    [1, 0, 0, 0, -34720, 108743],
+    [0, 1, 1, 0, -30383, 104755],
+    [2, 0, 0, -2, 15327, 10321],
+    [0, 0, 1, 2, -12528, 0],
+    [0, 0, 1, -2, 10980, 79661],
+    [4, 0, -1, 0, 10675, -34782],
+    [0, 0, 3, 0, 10034, -23210],
+    [4, 0, -2, 0, 8548, -21636],
+    [2, 1, -1, 0, -7888, 24208],
+    [2, 1, 0, 0, -6766, 30824],
+    [1, 0, -1, 0, -5163, -8379],
+    [1, 1, 0, 0, 4987, -16675],
+    [2, -1, 1, 0, 4036, -12831],
+    [2, 0, 2, 0, 3994, -10445],
+    [4, 0, 0, 0, 3861, -11650],
+    [2, 0, -3, 0, 3665, 14403],
+    [0, 1, -2, 0, -2689, -7003],
+    [2, 0, -1, 2, -2602, 0],
+    [2, -1, -2, 0, 2390, 10056],
+    [1, 0, 1, 0, -2348, 6322],
+    [2, -2, 0, 0, 2236, -9884],
+    [0, 1, 2, 0, -2120, 5751],
+    [0, 2, 0, 0, -2069, 0],
+    [2, -2, -1, 0, 2048, -4950],
+    [2, 0, 1, -2, -1773, 4130],
+    [2, 0, 0, 2, -1595, 0],
+    [4, -1, -1, 0, 1215, -3958],
+    [0, 0, 2, 2, -1110, 0],
+    [3, 0, -1, 0, -892, 3258],
+    [2, 1, 1, 0, -810, 2616],
+    [4, -1, -2, 0, 759, -1897],
+    [0, 2, -1, 0, -713, -2117],
+    [2, 2, -1, 0, -700, 2354],
+    [2, 1, -2, 0, 691, 0],
+    [2, -1, 0, -2, 596, 0],
+    [4, 0, 1, 0, 549, -1423],
+    [0, 0, 4, 0, 537, -1117],
+    [4, -1, 0, 0, 520, -1571],
+    [1, 0, -2, 0, -487, -1739],
+    [2, 1, 0, -2, -399, 0],
+    [0, 0, 2, -2, -381, -4421],
+    [1, 1, 1, 0, 351, 0],
+    [3, 0, -2, 0, -340, 0],
+    [4, 0, -3, 0, 330, 0],
+    [2, -1, 2, 0, 327, 0],
+    [0, 2, 1, 0, -323, 1165],
+    [1, 1, -1, 0, 299, 0],
+    [2, 0, 3, 0, 294, 0],
+    [2, 0, -1, -2, 0, 8752]
+];
+
+// Meeus table 47.B: multiples of D, M, M', F and the latitude coefficient (0.000001°)
+Ephemeris.moonLatitudeTerms = [
+    [0, 0, 0, 1, 5128122],
+    [0, 0, 1, 1, 280602],
+    [0, 0, 1, -1, 277693],
+    [2, 0, 0, -1, 173237],
+    [2, 0, -1, 1, 55413],
+    [2, 0, -1, -1, 46271],
+    [2, 0, 0, 1, 32573],
+    [0, 0, 2, 1, 17198],
+    [2, 0, 1, -1, 9266],
+    [0, 0, 2, -1, 8822],
+    [2, -1, 0, -1, 8216],
+    [2, 0, -2, -1, 4324],
+    [2, 0, 1, 1, 4200],
+    [2, 1, 0, -1, -3359],
+    [2, -1, -1, 1, 2463],
+    [2, -1, 0, 1, 2211],
+    [2, -1, -1, -1, 2065],
+    [0, 1, -1, -1, -1870],
+    [4, 0, -1, -1, 1828],
+    [0, 1, 0, 1, -1794],
+    [0, 0, 0, 3, -1749],
+    [0, 1, -1, 1, -1565],
+    [1, 0, 0, 1, -1491],
+    [0, 1, 1, 1, -1475],
+    [0, 1, 1, -1, -1410],
+    [0, 1, 0, -1, -1344],
+    [1, 0, 0, -1, -1335],
+    [0, 0, 3, 1, 1107],
+    [4, 0, 0, -1, 1021],
+    [4, 0, -1, 1, 833],
+    [0, 0, 1, -3, 777],
+    [4, 0, -2, 1, 671],
+    [2, 0, 0, -3, 607],
+    [2, 0, 2, -1, 596],
+    [2, -1, 1, -1, 491],
+    [2, 0, -2, 1, -451],
+    [0, 0, 3, -1, 439],
+    [2, 0, 2, 1, 422],
+    [2, 0, -3, -1, 421],
+    [2, 1, -1, 1, -366],
+    [2, 1, 0, 1, -351],
+    [4, 0, 0, 1, 331],
+    [2, -1, 1, 1, 315],
+    [2, -2, 0, -1, 302],
+    [0, 0, 1, 3, -283],
+    [2, 1, 1, -1, -229],
+    [1, 1, 0, -1, 223],
+    [1, 1, 0, 1, 223],
+    [0, 1, -2, -1, -220],
+    [2, 1, -1, -1, -220],
+    [1, 0, 1, 1, -185],
+    [2, -1, -2, -1, 181],
+    [0, 1, 2, 1, -177],
+    [4, 0, -2, -1, 176],
+    [4, -1, -1, -1, 166],
+    [1, 0, 1, -1, -164],
+    [4, 0, 1, -1, 132],
+    [1, 0, -1, -1, -119],
+    [4, -1, 0, -1, 115],
+    [2, -2, 0, 1, 107]
+];
@@ -3,6 +3,10 @@ class NightSky {
         this.canvas = document.getElementById('skyCanvas');
         this.renderer = new SkyRenderer(this.canvas);
         this.starData = new StarData();
+        this.starData.onStarsUpdated = stars => {
+            // Cached catalogs are revalidated in the background; pick up newer data
+            this.renderer.updateStarData(stars, this.currentTime);
+        };
         this.animationFrameId = null;
         
         // Initialize time control
@@ -338,16 +342,26 @@ class NightSky {
             { id: 'showHorizon', symbol: '⊘', tooltip: 'Horizon Circle & Cardinal Directions' },
             { id: 'showEcliptic', symbol: '⊚', tooltip: 'Ecliptic Line' },
             { id: 'hideStarsBelowHorizon', symbol: '⊖', tooltip: 'Hide Stars Below Horizon' },
+            { id: 'showGround', symbol: '▃', tooltip: 'Ground' },
+            { id: 'showDaylight', symbol: '☼', tooltip: 'Daylight & Twilight' },
             { type: 'separator' },
             // Solar System
             { id: 'showSun', symbol: '☉', tooltip: 'Sun' },
+            { id: 'showMoon', symbol: '☾', tooltip: 'Moon' },
             { id: 'showPlanets', symbol: '♄', tooltip: 'Planets' },
             { id: 'showPlanetOrbits', symbol: '⊛', tooltip: 'Planet Orbits' },
+            { id: 'showMinorBodies', symbol: '⚳', tooltip: 'Comets & Asteroids' },
+            { id: 'importMinorBodies', type: 'file', symbol: '⇪', tooltip: 'Import MPC Elements (MPCORB / CometEls)' },
+            { id: 'showSatellites', symbol: '✧', tooltip: 'Satellites' },
+            { id: 'importSatellites', type: 'file', symbol: '⇫', tooltip: 'Import Satellite TLEs' },
             { type: 'separator' },
             // Celestial Objects
             { id: 'showStars', symbol: '★', tooltip: 'Stars' },
             { id: 'showStarNames', symbol: 'Aa', tooltip: 'Star Names' },
             { id: 'showConstellations', symbol: '⋆', tooltip: 'Constellations' },
+            { id: 'showBoundaries', symbol: '⬚', tooltip: 'Constellation Boundaries' },
+            { id: 'showConstellationNames', symbol: '⌗', tooltip: 'Constellation Names' },
+            { id: 'constellationLabels', type: 'select', tooltip: 'Constellation Name Language' },
             { id: 'showMeteors', symbol: '☄', tooltip: 'Meteor Showers' },
             { type: 'separator' },
             // Deep Sky Objects
@@ -360,10 +374,13 @@ class NightSky {
 
             { type: 'separator' },
             // Projections
-            { id: 'projection', value: 'spherical', symbol: '◉', tooltip: 'Spherical Projection' },
-            { id: 'projection', value: 'stereographic', symbol: '◎', tooltip: 'Stereographic Projection' },
-            { id: 'projection', value: 'mercator', symbol: '▭', tooltip: 'Mercator Projection' },
-            { id: 'projection', value: 'hammer', symbol: '◗', tooltip: 'Hammer-Aitoff Projection' }
+            ...Projections.list().map(projection => (
+                { id: 'projection', value: projection.name, symbol: projection.symbol, tooltip: `${projection.label} Projection` }
+            )),
+
+            { type: 'separator' },
+            // Camera
+            { id: 'cameraMode', value: 'horizon', symbol: '⇡', tooltip: 'Local Sky Camera (Zenith Up)' }
         ];
 
         allControls.forEach(control => {
@@ -374,6 +391,45 @@ class NightSky {
                 separator.style.backgroundColor = '#444';
                 separator.style.margin = '0 4px';
                 buttonRow.appendChild(separator);
+            } else if (control.type === 'select') {
+                // Filled with the available languages once the constellations load
+                const select = document.createElement('select');
+                applyCommonStyles(select, true);
+                select.style.width = 'auto';
+                addHoverBehavior(select, control.tooltip);
+                select.addEventListener('change', () => {
+                    this.renderer.setConstellationLabels(select.value === 'abbr' ?
+                        { style: 'abbr' } :
+                        { style: 'name', language: select.value });
+                });
+                this.constellationLabelSelect = select;
+                buttonRow.appendChild(select);
+            } else if (control.type === 'file') {
+                // Reads an element file (MPC or TLE) picked by the user
+                const input = document.createElement('input');
+                input.type = 'file';
+                input.accept = '.txt,.dat,text/plain';
+                input.style.display = 'none';
+                input.addEventListener('change', async () => {
+                    const file = input.files[0];
+                    if (!file) return;
+                    try {
+                        await this.importFile(control.id, file);
+                    } catch (error) {
+                        console.warn('Could not import orbital elements:', error);
+                    }
+                    input.value = '';
+                });
+
+                const button = document.createElement('button');
+                button.className = 'xeron-button';
+                applyCommonStyles(button, true);
+                button.innerHTML = control.symbol;
+                button.style.backgroundColor = '#222';
+                addHoverBehavior(button, control.tooltip);
+                button.addEventListener('click', () => input.click());
+                buttonRow.appendChild(input);
+                buttonRow.appendChild(button);
             } else {
                 const button = document.createElement('button');
                 button.className = 'xeron-button';
@@ -391,6 +447,17 @@ class NightSky {
                         this.renderer.setProjection(control.value);
                     });
                     button.setAttribute('data-projection', control.value);
+                } else if (control.id === 'cameraMode') {
+                    button.style.backgroundColor = this.renderer.cameraMode === control.value ? '#444' : '#222';
+                    button.addEventListener('click', () => {
+                        const mode = this.renderer.cameraMode === control.value ? 'equatorial' : control.value;
+                        this.renderer.setCameraMode(mode);
+                        button.style.backgroundColor = mode === control.value ? '#444' : '#222';
+                        // The horizon camera switches to the spherical view
+                        buttonRow.querySelectorAll('button[data-projection]').forEach(btn => {
+                            btn.style.backgroundColor = btn.getAttribute('data-projection') === this.renderer.projectionType ? '#444' : '#222';
+                        });
+                    });
                 } else {
                     button.style.backgroundColor = this.renderer.visibility[control.id] ? '#444' : '#222';
                     button.addEventListener('click', () => {
@@ -483,6 +550,21 @@ class NightSky {
         this.canvas.parentNode.appendChild(controls);
     }
 
+    updateConstellationLabelOptions(languages) {
+        const select = this.constellationLabelSelect;
+        if (!select) return;
+
+        const { style, language } = this.renderer.constellationLabels;
+        select.innerHTML = '';
+        ['abbr', ...languages].forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value.toUpperCase();
+            option.selected = style === 'abbr' ? value === 'abbr' : value === language;
+            select.appendChild(option);
+        });
+    }
+
     displayError(message) {
         const ctx = this.canvas.getContext('2d');
         if (!ctx) return;
@@ -515,6 +597,23 @@ class NightSky {
                 console.log('Loaded deep sky objects:', data.deepSkyObjects);
             }
 
+            if (data.constellationLines) {
+                this.renderer.updateConstellationLines(data.constellationLines);
+            }
+
+            if (data.constellations) {
+                this.renderer.updateConstellations(data.constellations);
+                this.updateConstellationLabelOptions(data.constellations.languages);
+            }
+
+            if (data.minorBodies) {
+                this.renderer.updateMinorBodies(data.minorBodies);
+            }
+
+            if (data.satellites) {
+                this.renderer.updateSatellites(data.satellites);
+            }
+
             if (data.meteorShowers) {
                 this.renderer.updateMeteorShowers(data.meteorShowers);
                 console.log('Loaded meteor showers:', data.meteorShowers);
@@ -530,6 +629,19 @@ class NightSky {
         }
     }
 
+    async importFile(id, file) {
+        const text = await file.text();
+        if (id === 'importSatellites') {
+            const satellites = await this.starData.importSatellites(text, file.name);
+            this.renderer.updateSatellites(satellites);
+            console.log(`Imported ${satellites.length} satellites from ${file.name}`);
+        } else {
+            const bodies = await this.starData.importMinorBodies(text, file.name);
+            this.renderer.updateMinorBodies(bodies);
+            console.log(`Imported ${bodies.length} comets and asteroids from ${file.name}`);
+        }
+    }
+
     updateTime() {
         const now = performance.now();
         const deltaTime = (now - this.lastFrameTime) / 1000; // Convert to seconds
@@ -538,6 +650,8 @@ class NightSky {
         // Update current time based on time speed
         const timeChange = deltaTime * this.timeSpeed * 1000; // Convert to milliseconds
         this.currentTime = new Date(this.currentTime.getTime() + timeChange);
+        // Meteors spawn faster when time runs faster
+        this.renderer.setTimeSpeed(this.timeSpeed);
     }
 
     startRenderLoop() {
@@ -0,0 +1,98 @@
+// Annual meteor showers and how active they are on a given date.
+//
+// Everything is keyed to the Sun's J2000 ecliptic longitude, like the IMO
+// calendar, so a shower comes back at the same point of the Earth's orbit
+// every year. Catalog rows give the activity window (begin / end), the peak,
+// the radiant at the peak [RA, Dec] and its daily drift [dRA, dDec], all in
+// degrees, the speed (km/s), population index and ZHR at the peak.
+//
+// Away from the peak the ZHR falls off as 10^(-B |dλ|) (Jenniskens 1994). B
+// comes from the row's profile [before, after] when it has one, otherwise it
+// is chosen so the rate is down to 1 per hour at the ends of the window.
+class MeteorShowers {
+    constructor() {
+        this.list = [];
+    }
+
+    async load(url = 'data/meteorShowers.json') {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            const data = await response.json();
+            this.setData(data.showers || []);
+            console.log(`Loaded ${this.list.length} meteor showers`);
+        } catch (error) {
+            console.warn('Could not load meteor showers:', error);
+        }
+        return this;
+    }
+
+    setData(showers) {
+        this.list = showers.map(shower => ({
+            ...shower,
+            color: shower.color || MeteorShowers.colorForSpeed(shower.speed)
+        }));
+    }
+
+    // Every shower with its state on the date: active, zhr (current rate),
+    // radiant { ra (hours), dec } after drift, and the solar longitude
+    at(date) {
+        const solarLongitude = MeteorShowers.solarLongitude(date);
+        return this.list.map(shower => MeteorShowers.state(shower, solarLongitude));
+    }
+
+    active(date) {
+        return this.at(date).filter(shower => shower.active);
+    }
+
+    static state(shower, solarLongitude) {
+        // Signed distance from the peak, and whether we are inside the window
+        const fromPeak = MeteorShowers.difference(solarLongitude, shower.peak);
+        const before = MeteorShowers.difference(shower.peak, shower.begin);
+        const after = MeteorShowers.difference(shower.end, shower.peak);
+        const active = fromPeak >= -before && fromPeak <= after;
+
+        const [slopeBefore, slopeAfter] = shower.profile || [
+            Math.log10(shower.zhr) / Math.max(before, 0.1),
+            Math.log10(shower.zhr) / Math.max(after, 0.1)
+        ];
+        const slope = fromPeak < 0 ? slopeBefore : slopeAfter;
+        const zhr = active ? shower.zhr * Math.pow(10, -slope * Math.abs(fromPeak)) : 0;
+
+        // The Sun moves about 0.9856° a day
+        const days = fromPeak / 0.98565;
+        const [ra, dec] = shower.radiant;
+        const [raDrift, decDrift] = shower.drift || [0, 0];
+
+        return {
+            ...shower,
+            active,
+            zhr,
+            peakZhr: shower.zhr,
+            solarLongitude,
+            daysFromPeak: days,
+            radiant: {
+                ra: AstroTime.normalizeDegrees(ra + raDrift * days) / 15,
+                dec: Math.max(-90, Math.min(90, dec + decDrift * days))
+            }
+        };
+    }
+
+    // a - b in degrees, wrapped to -180..180
+    static difference(a, b) {
+        return AstroTime.normalizeDegrees(a - b + 180) - 180;
+    }
+
+    // The Sun's geometric ecliptic longitude (J2000 equinox), degrees
+    static solarLongitude(date) {
+        const sun = Ephemeris.earthPosition(AstroTime.julianCenturies(date)).map(value => -value);
+        const ecliptic = Astrometry.applyMatrix(Astrometry.transpose(Ephemeris.eclipticToEquatorial), sun);
+        return AstroTime.normalizeDegrees(Math.atan2(ecliptic[1], ecliptic[0]) * 180 / Math.PI);
+    }
+
+    // Slow meteors burn orange, fast ones blue-white (RGB, 0-1)
+    static colorForSpeed(speed = 40) {
+        const t = Math.max(0, Math.min(1, (speed - 15) / 55));
+        return [1.0 - 0.3 * t, 0.7 + 0.2 * t, 0.4 + 0.6 * t];
+    }
+}
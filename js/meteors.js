@@ -0,0 +1,156 @@
+// Individual meteors from the active showers.
+//
+// Meteors are spawned as a Poisson process at the shower's observed hourly
+// rate, ZHR * sin(radiant altitude) / r^(6.5 - limiting magnitude), and fly
+// away from the radiant along great circles. They live in the observer's
+// horizon frame (vectors with x north, y east, z up, as in traceSkySegment):
+// they burn 100 km up in the atmosphere, so they don't turn with the stars.
+//
+// Spawning follows the simulated clock, so the rate scales with the time
+// speed, but each meteor plays out in wall-clock time or nothing would be
+// left to see at 1000x.
+class Meteors {
+    constructor(random = Math.random) {
+        this.list = [];
+        this.random = random;
+    }
+
+    // Observed meteors per hour for a shower with its radiant at an altitude
+    static hourlyRate(shower, altitude, limitingMagnitude = 6.5) {
+        if (!shower.active || altitude <= 0) return 0;
+        const populationIndex = shower.populationIndex || 2.5;
+        return shower.zhr * Math.sin(altitude * Math.PI / 180) /
+            Math.pow(populationIndex, 6.5 - limitingMagnitude);
+    }
+
+    // Advances every meteor by `seconds` of wall-clock time, drops the burnt
+    // out ones and spawns new ones. Showers need altitude and azimuth of
+    // their radiant (from transformStarsForProjection).
+    step(showers, seconds, timeSpeed = 1, limitingMagnitude = 6.5) {
+        this.list.forEach(meteor => { meteor.age += seconds; });
+        this.list = this.list.filter(meteor => meteor.age < meteor.duration);
+
+        const skySeconds = seconds * Math.abs(timeSpeed);
+        showers.forEach(shower => {
+            const rate = Meteors.hourlyRate(shower, shower.altitude, limitingMagnitude);
+            const count = Meteors.poisson(rate * skySeconds / 3600, this.random);
+            for (let i = 0; i < count && this.list.length < Meteors.MAX_METEORS; i++) {
+                const meteor = this.spawn(shower, limitingMagnitude);
+                if (meteor) this.list.push(meteor);
+            }
+        });
+        return this.list;
+    }
+
+    // Number of events for a Poisson mean; a normal approximation once the
+    // mean is large enough for Knuth's product to be slow
+    static poisson(mean, random = Math.random) {
+        if (mean <= 0) return 0;
+        if (mean > 30) {
+            const gaussian = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+            return Math.max(0, Math.round(mean + Math.sqrt(mean) * gaussian));
+        }
+        const limit = Math.exp(-mean);
+        let count = 0;
+        let product = random();
+        while (product > limit) {
+            count++;
+            product *= random();
+        }
+        return count;
+    }
+
+    // A meteor somewhere in the visible sky, heading away from the radiant
+    spawn(shower, limitingMagnitude = 6.5) {
+        const radiant = Meteors.toVector(shower.altitude, shower.azimuth);
+
+        // Uniform over the sky above the horizon
+        const z = this.random();
+        const azimuth = 2 * Math.PI * this.random();
+        const horizontal = Math.sqrt(1 - z * z);
+        const start = [horizontal * Math.cos(azimuth), horizontal * Math.sin(azimuth), z];
+
+        const cosDistance = Meteors.dot(start, radiant);
+        const distance = Math.acos(Math.max(-1, Math.min(1, cosDistance)));
+        if (distance < Meteors.MIN_RADIANT_DISTANCE) return null;
+
+        // Unit vector along the great circle from the radiant, at the start
+        const tangent = Meteors.normalize(start.map((value, i) => value - radiant[i] * cosDistance));
+
+        // Apparent angular speed: the part of the velocity across the line of
+        // sight over the distance to the meteor layer
+        const sinAltitude = z;
+        const range = Math.sqrt((Meteors.EARTH_RADIUS + Meteors.HEIGHT) ** 2 -
+            (Meteors.EARTH_RADIUS * horizontal) ** 2) - Meteors.EARTH_RADIUS * sinAltitude;
+        const speed = (shower.speed || 40) * Math.sin(distance) / range;
+
+        // Magnitudes follow the population index: N(<= m) ~ r^m
+        const populationIndex = shower.populationIndex || 2.5;
+        const magnitude = limitingMagnitude + Math.log(1 - this.random()) / Math.log(populationIndex);
+
+        return {
+            shower: shower.code,
+            color: shower.color,
+            radiant,
+            tangent,
+            start: distance,
+            speed,
+            magnitude,
+            // Fast meteors burn out sooner
+            duration: (0.3 + 0.7 * this.random()) * Math.sqrt(40 / (shower.speed || 40)),
+            age: 0
+        };
+    }
+
+    // Head and tail of the glowing trail as { altitude, azimuth }, and how
+    // bright the meteor is right now (0-1)
+    static trail(meteor, limitingMagnitude = 6.5) {
+        const head = meteor.start + meteor.speed * meteor.age;
+        const tail = Math.max(meteor.start, head - meteor.speed * Meteors.TRAIL_SECONDS);
+        const progress = meteor.age / meteor.duration;
+        const brightness = Math.min(1, 0.25 + 0.15 * (limitingMagnitude - meteor.magnitude));
+        return {
+            head: Meteors.alongPath(meteor, head),
+            tail: Meteors.alongPath(meteor, tail),
+            // Flares up quickly, then fades
+            intensity: brightness * Math.sin(Math.PI * Math.sqrt(Math.max(0, Math.min(1, progress)))),
+            magnitude: meteor.magnitude
+        };
+    }
+
+    // Point an angle (radians) from the radiant along the meteor's great circle
+    static alongPath(meteor, angle) {
+        const v = meteor.radiant.map((value, i) =>
+            value * Math.cos(angle) + meteor.tangent[i] * Math.sin(angle)
+        );
+        return {
+            altitude: Math.asin(Math.max(-1, Math.min(1, v[2]))) * 180 / Math.PI,
+            azimuth: AstroTime.normalizeDegrees(Math.atan2(v[1], v[0]) * 180 / Math.PI)
+        };
+    }
+
+    static toVector(altitude, azimuth) {
+        const altRad = altitude * Math.PI / 180;
+        const azRad = azimuth * Math.PI / 180;
+        return [Math.cos(altRad) * Math.cos(azRad), Math.cos(altRad) * Math.sin(azRad), Math.sin(altRad)];
+    }
+
+    static dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+
+    static normalize(v) {
+        const length = Math.sqrt(Meteors.dot(v, v));
+        return v.map(value => value / length);
+    }
+}
+
+// Height meteors burn at and the Earth's radius (km)
+Meteors.HEIGHT = 100;
+Meteors.EARTH_RADIUS = 6371;
+// Closer than this to the radiant they barely move
+Meteors.MIN_RADIANT_DISTANCE = 2 * Math.PI / 180;
+// Length of the glowing trail behind the head, in seconds of flight
+Meteors.TRAIL_SECONDS = 0.2;
+// Keeps a 1000x time speed during a storm from flooding the sky
+Meteors.MAX_METEORS = 200;
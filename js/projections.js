@@ -0,0 +1,217 @@
+// Projections of the sky sphere onto the scene.
+//
+// Each projection maps a direction in the sidereal scene frame, longitude
+// lambda (the RA measured from the local meridian, already turned by any map
+// rotation, -π..π) and latitude phi (Dec), both in radians, to scene
+// coordinates { x, y, z }, and back. Flat maps leave z at 0 and are centered
+// on lambda = phi = 0. forward() gives null for directions the projection
+// can't show (the far side of the orthographic globe, past the gnomonic
+// horizon), inverse() for points off the map.
+//
+// Options on a projection:
+//   flat    - drawn with the 2D camera (pan and zoom) rather than in 3D
+//   seam    - a full sky map cut along lambda = ±π; it can be rotated in
+//             longitude and lines crossing the cut are broken
+//   scroll  - dragging sideways rotates it instead of panning (cylinders)
+//   breaks  - (a, b) => true when the segment between two scene points
+//             can't be drawn as a straight line; seam maps get a longitude
+//             test by default
+class Projections {
+    static register(name, projection) {
+        const entry = { name, flat: true, seam: false, scroll: false, ...projection };
+        if (!entry.breaks) {
+            entry.breaks = entry.seam ? (a, b) => Projections.crossesCut(entry, a, b) : () => false;
+        }
+        Projections.registry[name] = entry;
+        return entry;
+    }
+
+    static get(name) {
+        return Projections.registry[name] || null;
+    }
+
+    static list() {
+        return Object.values(Projections.registry);
+    }
+
+    // True when two scene points lie on either side of a seam map's cut
+    static crossesCut(projection, a, b) {
+        const from = projection.inverse(a.x, a.y, a.z);
+        const to = projection.inverse(b.x, b.y, b.z);
+        return !!from && !!to && Math.abs(from.lambda - to.lambda) > Math.PI;
+    }
+
+    // Shared by the azimuthal projections: the direction a map point at
+    // angular distance c from the center came from
+    static azimuthalInverse(x, y, c) {
+        const rho = Math.hypot(x, y);
+        if (rho === 0) return { lambda: 0, phi: 0 };
+        return {
+            lambda: Math.atan2(x * Math.sin(c), rho * Math.cos(c)),
+            phi: Math.asin(Math.max(-1, Math.min(1, y * Math.sin(c) / rho)))
+        };
+    }
+
+    // Mollweide's auxiliary angle: 2θ + sin 2θ = π sin φ
+    static mollweideTheta(phi) {
+        if (Math.abs(phi) >= Math.PI / 2 - 1e-9) return Math.sign(phi) * Math.PI / 2;
+        let theta = phi;
+        for (let i = 0; i < 20; i++) {
+            const delta = (2 * theta + Math.sin(2 * theta) - Math.PI * Math.sin(phi)) / (2 + 2 * Math.cos(2 * theta));
+            theta -= delta;
+            if (Math.abs(delta) < 1e-10) break;
+        }
+        return theta;
+    }
+}
+
+Projections.registry = {};
+
+Projections.register('spherical', {
+    label: 'Spherical',
+    symbol: '◉',
+    flat: false,
+    forward: (lambda, phi) => ({
+        x: Math.cos(phi) * Math.cos(lambda),
+        y: Math.cos(phi) * Math.sin(lambda),
+        z: Math.sin(phi)
+    }),
+    inverse: (x, y, z) => ({
+        lambda: Math.atan2(y, x),
+        phi: Math.asin(Math.max(-1, Math.min(1, z)))
+    })
+});
+
+Projections.register('stereographic', {
+    label: 'Stereographic',
+    symbol: '◎',
+    forward: (lambda, phi) => {
+        const k = 2 / (1 + Math.cos(phi) * Math.cos(lambda));
+        return { x: k * Math.cos(phi) * Math.sin(lambda), y: k * Math.sin(phi), z: 0 };
+    },
+    inverse: (x, y) => Projections.azimuthalInverse(x, y, 2 * Math.atan(Math.hypot(x, y) / 2))
+});
+
+// The half of the sky facing the viewer as a globe seen from far away
+Projections.register('orthographic', {
+    label: 'Orthographic',
+    symbol: '◯',
+    forward: (lambda, phi) => {
+        if (Math.cos(phi) * Math.cos(lambda) < 0) return null;
+        return { x: 2 * Math.cos(phi) * Math.sin(lambda), y: 2 * Math.sin(phi), z: 0 };
+    },
+    inverse: (x, y) => {
+        const rho = Math.hypot(x, y) / 2;
+        if (rho > 1) return null;
+        return Projections.azimuthalInverse(x, y, Math.asin(rho));
+    }
+});
+
+// Distances from the center are true to scale: the all-sky / fisheye view
+Projections.register('azimuthalEquidistant', {
+    label: 'Azimuthal Equidistant',
+    symbol: '◍',
+    forward: (lambda, phi) => {
+        const c = Math.acos(Math.max(-1, Math.min(1, Math.cos(phi) * Math.cos(lambda))));
+        const k = c < 1e-9 ? 1 : c / Math.sin(c);
+        if (!isFinite(k)) return null;
+        return { x: k * Math.cos(phi) * Math.sin(lambda), y: k * Math.sin(phi), z: 0 };
+    },
+    inverse: (x, y) => {
+        const c = Math.hypot(x, y);
+        if (c > Math.PI) return null;
+        return Projections.azimuthalInverse(x, y, c);
+    },
+    // Points either side of the antipode land on opposite edges of the disc
+    breaks: (a, b) => Math.hypot(a.x - b.x, a.y - b.y) > Math.PI / 2
+});
+
+// Great circles are straight lines, as on a finder chart; only the part of
+// the sky well inside 90° of the center can be shown
+Projections.register('gnomonic', {
+    label: 'Gnomonic',
+    symbol: '⊡',
+    forward: (lambda, phi) => {
+        const cosC = Math.cos(phi) * Math.cos(lambda);
+        if (cosC < 0.1) return null;
+        return { x: Math.cos(phi) * Math.sin(lambda) / cosC, y: Math.sin(phi) / cosC, z: 0 };
+    },
+    inverse: (x, y) => Projections.azimuthalInverse(x, y, Math.atan(Math.hypot(x, y)))
+});
+
+Projections.register('mercator', {
+    label: 'Mercator',
+    symbol: '▭',
+    seam: true,
+    scroll: true,
+    forward: (lambda, phi) => {
+        // Limit to ~85 degrees
+        const clamped = Math.max(Math.min(phi, 1.4835), -1.4835);
+        return { x: lambda, y: Math.log(Math.tan(Math.PI / 4 + clamped / 2)), z: 0 };
+    },
+    inverse: (x, y) => {
+        if (Math.abs(x) > Math.PI) return null;
+        return { lambda: x, phi: 2 * Math.atan(Math.exp(y)) - Math.PI / 2 };
+    }
+});
+
+// Plate carrée: RA and Dec straight onto x and y
+Projections.register('equirectangular', {
+    label: 'Plate Carrée',
+    symbol: '▦',
+    seam: true,
+    scroll: true,
+    forward: (lambda, phi) => ({ x: lambda, y: phi, z: 0 }),
+    inverse: (x, y) => {
+        if (Math.abs(x) > Math.PI || Math.abs(y) > Math.PI / 2) return null;
+        return { lambda: x, phi: y };
+    }
+});
+
+Projections.register('hammer', {
+    label: 'Hammer-Aitoff',
+    symbol: '◗',
+    seam: true,
+    forward: (lambda, phi) => {
+        const denom = Math.sqrt(1 + Math.cos(phi) * Math.cos(lambda / 2));
+        if (denom === 0) return { x: 0, y: 0, z: 0 };
+        return {
+            x: 2 * Math.sqrt(2) * Math.cos(phi) * Math.sin(lambda / 2) / denom,
+            y: Math.sqrt(2) * Math.sin(phi) / denom,
+            z: 0
+        };
+    },
+    inverse: (x, y) => {
+        if ((x / 4) ** 2 + (y / 2) ** 2 > 0.5) return null;
+        const w = Math.sqrt(1 - (x / 4) ** 2 - (y / 2) ** 2);
+        return {
+            lambda: 2 * Math.atan2(w * x, 2 * (2 * w * w - 1)),
+            phi: Math.asin(Math.max(-1, Math.min(1, w * y)))
+        };
+    }
+});
+
+// Equal-area ellipse, the usual whole-sky map for star counts and surveys
+Projections.register('mollweide', {
+    label: 'Mollweide',
+    symbol: '⬭',
+    seam: true,
+    forward: (lambda, phi) => {
+        const theta = Projections.mollweideTheta(phi);
+        return {
+            x: 2 * Math.sqrt(2) / Math.PI * lambda * Math.cos(theta),
+            y: Math.sqrt(2) * Math.sin(theta),
+            z: 0
+        };
+    },
+    inverse: (x, y) => {
+        if (Math.abs(y) > Math.sqrt(2)) return null;
+        const theta = Math.asin(y / Math.sqrt(2));
+        const lambda = Math.cos(theta) === 0 ? 0 : Math.PI * x / (2 * Math.sqrt(2) * Math.cos(theta));
+        if (Math.abs(lambda) > Math.PI) return null;
+        return {
+            lambda,
+            phi: Math.asin(Math.max(-1, Math.min(1, (2 * theta + Math.sin(2 * theta)) / Math.PI)))
+        };
+    }
+});
@@ -0,0 +1,90 @@
+// Rise, transit and set times.
+//
+// The object's altitude is sampled every half hour from the given date and
+// each horizon crossing or meridian passage found is narrowed down by
+// bisection. Sampling rather than the classic hour-angle formula lets the
+// same code follow the Moon and planets, whose positions change while they
+// cross the sky: the caller hands in a function giving the J2000 RA (hours) /
+// Dec (degrees) at any date.
+//
+// "Rising" means the upper limb reaching the observed horizon, with
+// refraction from the observer's temperature and pressure (Atmosphere), so
+// the Sun rises with its top edge just showing like the almanacs have it.
+class RiseSet {
+    // Next rise, transit and set after `date` for an observer
+    // { latitude, longitude, temperature, pressure }. Returns
+    // { rise, transit, set } as Dates (or null when it doesn't happen in the
+    // search window), the transit altitude, and whether the object stayed
+    // up (circumpolar) or down (neverRises) the whole time.
+    static compute(positionAt, date, observer, { radius = 0, days = RiseSet.SEARCH_DAYS } = {}) {
+        // Precession hardly moves over a day; one matrix does for the window
+        const precession = Astrometry.precessionNutationMatrix(date);
+        const state = time => {
+            const when = new Date(time);
+            const position = positionAt(when);
+            const apparent = Astrometry.j2000ToDate(position.ra, position.dec, precession);
+            const lst = AstroTime.localSiderealTime(when, observer.longitude);
+            const { altitude } = Astrometry.equatorialToHorizontal(apparent.ra, apparent.dec, lst, observer.latitude);
+            return {
+                // Upper limb against the observed horizon
+                height: altitude + Atmosphere.refraction(altitude, observer) + radius,
+                hourAngle: AstroTime.normalizeDegrees(lst - apparent.ra * 15 + 180) - 180,
+                altitude
+            };
+        };
+
+        const start = date.getTime();
+        const end = start + days * 86400000;
+        const result = { rise: null, transit: null, set: null, transitAltitude: null };
+        let always = true;
+        let never = true;
+
+        let previous = state(start);
+        let previousTime = start;
+        for (let time = start + RiseSet.STEP; previousTime < end; time += RiseSet.STEP) {
+            const current = state(time);
+            always = always && previous.height >= 0;
+            never = never && previous.height < 0;
+
+            if (!result.rise && previous.height < 0 && current.height >= 0) {
+                result.rise = RiseSet.refine(state, previousTime, time, s => s.height >= 0);
+            }
+            if (!result.set && previous.height >= 0 && current.height < 0) {
+                result.set = RiseSet.refine(state, previousTime, time, s => s.height < 0);
+            }
+            // Upper culmination: the hour angle goes from east to west through
+            // 0, not through 180
+            if (!result.transit && previous.hourAngle < 0 && current.hourAngle >= 0 &&
+                Math.abs(previous.hourAngle) < 90) {
+                result.transit = RiseSet.refine(state, previousTime, time, s => s.hourAngle >= 0);
+                result.transitAltitude = state(result.transit.getTime()).altitude;
+            }
+
+            previous = current;
+            previousTime = time;
+        }
+
+        result.circumpolar = always && previous.height >= 0;
+        result.neverRises = never && previous.height < 0;
+        return result;
+    }
+
+    // Bisects a step down to the moment `after` first holds
+    static refine(state, from, to, after) {
+        while (to - from > RiseSet.PRECISION) {
+            const middle = (from + to) / 2;
+            if (after(state(middle))) {
+                to = middle;
+            } else {
+                from = middle;
+            }
+        }
+        return new Date(Math.round((from + to) / 2));
+    }
+}
+
+// A little more than a lunar day, so the Moon's next rise is always found
+RiseSet.SEARCH_DAYS = 1.05;
+// Sampling interval and bisection precision (ms)
+RiseSet.STEP = 30 * 60000;
+RiseSet.PRECISION = 1000;
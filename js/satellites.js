@@ -0,0 +1,358 @@
+// Artificial satellites from Two-Line Element sets.
+//
+// Orbits are propagated with SGP4 (Vallado et al. 2006, "Revisiting Spacetrack
+// Report #3", WGS-72 constants). Only near-Earth orbits are handled (periods
+// under 225 minutes: the ISS, Hubble, Starlink, ...); the deep space terms that
+// GPS or geostationary satellites need are not, and their element sets are
+// skipped. SGP4 works in the TEME frame (true equator, mean equinox of date);
+// positions come back as topocentric J2000 RA/Dec so they go through the same
+// path as everything else.
+class Satellites {
+    // Name / line 1 / line 2 sets; the name line is optional
+    static parseTle(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trimEnd()).filter(Boolean);
+        const satellites = [];
+        let skipped = 0;
+        lines.forEach((line, i) => {
+            if (!line.startsWith('1 ') || !lines[i + 1]?.startsWith('2 ')) return;
+            const previous = lines[i - 1];
+            const name = previous && !/^[12] \d/.test(previous) ?
+                previous.replace(/^0 /, '').trim() :
+                line.slice(2, 7).trim();
+            const satellite = Satellites.initialize(line, lines[i + 1], name);
+            if (satellite) {
+                satellites.push(satellite);
+            } else {
+                skipped++;
+            }
+        });
+        if (skipped) {
+            console.warn(`Skipped ${skipped} element sets (deep space or invalid)`);
+        }
+        return satellites;
+    }
+
+    // Reads one element set and runs the SGP4 initialization; null for deep
+    // space orbits and unreadable lines
+    static initialize(line1, line2, name) {
+        const field = (line, start, end) => parseFloat(line.slice(start, end));
+        // Implied decimal point with an exponent, e.g. ' 34123-4' = 0.34123e-4
+        const exponential = text => parseFloat(`${text[0].trim()}.${text.slice(1, 6)}e${text.slice(6, 8)}`);
+        const degree = Math.PI / 180;
+
+        const twoDigitYear = parseInt(line1.slice(18, 20), 10);
+        const year = twoDigitYear < 57 ? 2000 + twoDigitYear : 1900 + twoDigitYear;
+        const epoch = AstroTime.julianDate(new Date(Date.UTC(year, 0, 1))) - 1 + field(line1, 20, 32);
+
+        const elements = {
+            bstar: exponential(line1.slice(53, 61)),
+            inclination: field(line2, 8, 16) * degree,
+            node: field(line2, 17, 25) * degree,
+            eccentricity: parseFloat(`.${line2.slice(26, 33).trim()}`),
+            perigee: field(line2, 34, 42) * degree,
+            meanAnomaly: field(line2, 43, 51) * degree,
+            // Revolutions per day to radians per minute
+            meanMotion: field(line2, 52, 63) * 2 * Math.PI / 1440
+        };
+        if (Object.values(elements).some(value => isNaN(value)) || isNaN(epoch) || !(elements.meanMotion > 0)) {
+            return null;
+        }
+
+        const orbit = Satellites.sgp4Init(elements);
+        if (!orbit) return null;
+
+        return {
+            id: `sat-${line1.slice(2, 7).trim()}`,
+            name,
+            type: 'satellite',
+            epoch,
+            orbit
+        };
+    }
+
+    // SGP4 initialization for a near-Earth orbit (sgp4init / initl)
+    static sgp4Init({ bstar, inclination, node, eccentricity, perigee, meanAnomaly, meanMotion }) {
+        const { XKE, J2, J4, J3OJ2, EARTH_RADIUS } = Satellites;
+        const e = eccentricity;
+        const cosio = Math.cos(inclination);
+        const sinio = Math.sin(inclination);
+        const cosio2 = cosio * cosio;
+        const omeosq = 1 - e * e;
+        const rteosq = Math.sqrt(omeosq);
+
+        // Recover the original mean motion and semimajor axis from the
+        // Kozai mean motion in the element set
+        const ak = Math.pow(XKE / meanMotion, 2 / 3);
+        const d1 = 0.75 * J2 * (3 * cosio2 - 1) / (rteosq * omeosq);
+        let delta = d1 / (ak * ak);
+        const adel = ak * (1 - delta * delta - delta * (1 / 3 + 134 * delta * delta / 81));
+        delta = d1 / (adel * adel);
+        const no = meanMotion / (1 + delta);
+        if (2 * Math.PI / no >= 225) return null;
+
+        const ao = Math.pow(XKE / no, 2 / 3);
+        const po = ao * omeosq;
+        const posq = po * po;
+        const con42 = 1 - 5 * cosio2;
+        const con41 = -con42 - 2 * cosio2;
+        const rp = ao * (1 - e);
+
+        // Atmospheric density parameters, adjusted for low perigees
+        let sfour = 78 / EARTH_RADIUS + 1;
+        let qzms24 = Math.pow((120 - 78) / EARTH_RADIUS, 4);
+        const perigeeHeight = (rp - 1) * EARTH_RADIUS;
+        if (perigeeHeight < 156) {
+            sfour = perigeeHeight < 98 ? 20 : perigeeHeight - 78;
+            qzms24 = Math.pow((120 - sfour) / EARTH_RADIUS, 4);
+            sfour = sfour / EARTH_RADIUS + 1;
+        }
+
+        const pinvsq = 1 / posq;
+        const tsi = 1 / (ao - sfour);
+        const eta = ao * e * tsi;
+        const etasq = eta * eta;
+        const eeta = e * eta;
+        const psisq = Math.abs(1 - etasq);
+        const coef = qzms24 * Math.pow(tsi, 4);
+        const coef1 = coef / Math.pow(psisq, 3.5);
+        const cc2 = coef1 * no * (ao * (1 + 1.5 * etasq + eeta * (4 + etasq)) +
+            0.375 * J2 * tsi / psisq * con41 * (8 + 3 * etasq * (8 + etasq)));
+        const cc1 = bstar * cc2;
+        const cc3 = e > 1e-4 ? -2 * coef * tsi * J3OJ2 * no * sinio / e : 0;
+        const x1mth2 = 1 - cosio2;
+        const cc4 = 2 * no * coef1 * ao * omeosq * (eta * (2 + 0.5 * etasq) + e * (0.5 + 2 * etasq) -
+            J2 * tsi / (ao * psisq) * (-3 * con41 * (1 - 2 * eeta + etasq * (1.5 - 0.5 * eeta)) +
+            0.75 * x1mth2 * (2 * etasq - eeta * (1 + etasq)) * Math.cos(2 * perigee)));
+        const cc5 = 2 * coef1 * ao * omeosq * (1 + 2.75 * (etasq + eeta) + eeta * etasq);
+
+        // Secular rates from J2 and J4
+        const cosio4 = cosio2 * cosio2;
+        const temp1 = 1.5 * J2 * pinvsq * no;
+        const temp2 = 0.5 * temp1 * J2 * pinvsq;
+        const temp3 = -0.46875 * J4 * pinvsq * pinvsq * no;
+        const xhdot1 = -temp1 * cosio;
+
+        const orbit = {
+            bstar, inclination, node, eccentricity: e, perigee, meanAnomaly,
+            no, eta, cc1, cc4, cc5, con41, x1mth2,
+            mdot: no + 0.5 * temp1 * rteosq * con41 + 0.0625 * temp2 * rteosq * (13 - 78 * cosio2 + 137 * cosio4),
+            argpdot: -0.5 * temp1 * con42 + 0.0625 * temp2 * (7 - 114 * cosio2 + 395 * cosio4) +
+                temp3 * (3 - 36 * cosio2 + 49 * cosio4),
+            nodedot: xhdot1 + (0.5 * temp2 * (4 - 19 * cosio2) + 2 * temp3 * (3 - 7 * cosio2)) * cosio,
+            omgcof: bstar * cc3 * Math.cos(perigee),
+            xmcof: e > 1e-4 ? -2 / 3 * coef * bstar / eeta : 0,
+            nodecf: 3.5 * omeosq * xhdot1 * cc1,
+            t2cof: 1.5 * cc1,
+            xlcof: -0.25 * J3OJ2 * sinio * (3 + 5 * cosio) / (Math.abs(cosio + 1) > 1.5e-12 ? 1 + cosio : 1.5e-12),
+            aycof: -0.5 * J3OJ2 * sinio,
+            delmo: Math.pow(1 + eta * Math.cos(meanAnomaly), 3),
+            sinmao: Math.sin(meanAnomaly),
+            x7thm1: 7 * cosio2 - 1,
+            // Perigees under 220 km drop the higher order drag terms
+            simple: rp < 220 / EARTH_RADIUS + 1,
+            d2: 0, d3: 0, d4: 0, t3cof: 0, t4cof: 0, t5cof: 0
+        };
+
+        if (!orbit.simple) {
+            const cc1sq = cc1 * cc1;
+            orbit.d2 = 4 * ao * tsi * cc1sq;
+            const temp = orbit.d2 * tsi * cc1 / 3;
+            orbit.d3 = (17 * ao + sfour) * temp;
+            orbit.d4 = 0.5 * temp * ao * tsi * (221 * ao + 31 * sfour) * cc1;
+            orbit.t3cof = orbit.d2 + 2 * cc1sq;
+            orbit.t4cof = 0.25 * (3 * orbit.d3 + cc1 * (12 * orbit.d2 + 10 * cc1sq));
+            orbit.t5cof = 0.2 * (3 * orbit.d4 + 12 * cc1 * orbit.d3 + 6 * orbit.d2 * orbit.d2 +
+                15 * cc1sq * (2 * orbit.d2 + cc1sq));
+        }
+        return orbit;
+    }
+
+    // TEME position in km, minutes after the element set epoch; null once
+    // the orbit has decayed or the elements stop making sense
+    static sgp4(orbit, minutes) {
+        const { XKE, J2, EARTH_RADIUS } = Satellites;
+        const twoPi = 2 * Math.PI;
+        const t = minutes;
+
+        // Secular gravity and drag
+        const xmdf = orbit.meanAnomaly + orbit.mdot * t;
+        const argpdf = orbit.perigee + orbit.argpdot * t;
+        const nodedf = orbit.node + orbit.nodedot * t;
+        let argpm = argpdf;
+        let mm = xmdf;
+        const t2 = t * t;
+        let nodem = nodedf + orbit.nodecf * t2;
+        let tempa = 1 - orbit.cc1 * t;
+        let tempe = orbit.bstar * orbit.cc4 * t;
+        let templ = orbit.t2cof * t2;
+
+        if (!orbit.simple) {
+            const delomg = orbit.omgcof * t;
+            const delm = orbit.xmcof * (Math.pow(1 + orbit.eta * Math.cos(xmdf), 3) - orbit.delmo);
+            mm = xmdf + delomg + delm;
+            argpm = argpdf - delomg - delm;
+            const t3 = t2 * t;
+            const t4 = t3 * t;
+            tempa -= orbit.d2 * t2 + orbit.d3 * t3 + orbit.d4 * t4;
+            tempe += orbit.bstar * orbit.cc5 * (Math.sin(mm) - orbit.sinmao);
+            templ += orbit.t3cof * t3 + t4 * (orbit.t4cof + t * orbit.t5cof);
+        }
+
+        const am = Math.pow(XKE / orbit.no, 2 / 3) * tempa * tempa;
+        const nm = XKE / Math.pow(am, 1.5);
+        let em = orbit.eccentricity - tempe;
+        if (!(nm > 0) || em >= 1 || em < -0.001) return null;
+        em = Math.max(em, 1e-6);
+
+        mm += orbit.no * templ;
+        const xlm = (mm + argpm + nodem) % twoPi;
+        nodem %= twoPi;
+        argpm %= twoPi;
+        mm = (xlm - argpm - nodem) % twoPi;
+
+        // Long period periodics
+        const sinip = Math.sin(orbit.inclination);
+        const cosip = Math.cos(orbit.inclination);
+        const axnl = em * Math.cos(argpm);
+        let temp = 1 / (am * (1 - em * em));
+        const aynl = em * Math.sin(argpm) + temp * orbit.aycof;
+        const xl = mm + argpm + nodem + temp * orbit.xlcof * axnl;
+
+        // Kepler's equation for the eccentric longitude
+        const u = (xl - nodem) % twoPi;
+        let eo1 = u;
+        let sineo1 = 0;
+        let coseo1 = 1;
+        for (let i = 0; i < 10; i++) {
+            sineo1 = Math.sin(eo1);
+            coseo1 = Math.cos(eo1);
+            let step = (u - aynl * coseo1 + axnl * sineo1 - eo1) / (1 - coseo1 * axnl - sineo1 * aynl);
+            step = Math.max(-0.95, Math.min(0.95, step));
+            eo1 += step;
+            if (Math.abs(step) < 1e-12) break;
+        }
+
+        // Short period periodics
+        const ecose = axnl * coseo1 + aynl * sineo1;
+        const esine = axnl * sineo1 - aynl * coseo1;
+        const el2 = axnl * axnl + aynl * aynl;
+        const pl = am * (1 - el2);
+        if (pl < 0) return null;
+
+        const rl = am * (1 - ecose);
+        const betal = Math.sqrt(1 - el2);
+        temp = esine / (1 + betal);
+        const sinu = am / rl * (sineo1 - aynl - axnl * temp);
+        const cosu = am / rl * (coseo1 - axnl + aynl * temp);
+        let su = Math.atan2(sinu, cosu);
+        const sin2u = 2 * cosu * sinu;
+        const cos2u = 1 - 2 * sinu * sinu;
+        temp = 1 / pl;
+        const temp1 = 0.5 * J2 * temp;
+        const temp2 = temp1 * temp;
+
+        const mrt = rl * (1 - 1.5 * temp2 * betal * orbit.con41) + 0.5 * temp1 * orbit.x1mth2 * cos2u;
+        // Under the Earth's surface: the satellite has decayed
+        if (mrt < 1) return null;
+        su -= 0.25 * temp2 * orbit.x7thm1 * sin2u;
+        const xnode = nodem + 1.5 * temp2 * cosip * sin2u;
+        const xinc = orbit.inclination + 1.5 * temp2 * cosip * sinip * cos2u;
+
+        const sinsu = Math.sin(su);
+        const cossu = Math.cos(su);
+        const snod = Math.sin(xnode);
+        const cnod = Math.cos(xnode);
+        const sini = Math.sin(xinc);
+        const cosi = Math.cos(xinc);
+        const xmx = -snod * cosi;
+        const xmy = cnod * cosi;
+
+        return [
+            mrt * (xmx * sinsu + cnod * cossu) * EARTH_RADIUS,
+            mrt * (xmy * sinsu + snod * cossu) * EARTH_RADIUS,
+            mrt * sini * sinsu * EARTH_RADIUS
+        ];
+    }
+
+    // Satellites seen from an observer { latitude, longitude, elevation (m) }:
+    // topocentric J2000 RA (hours) / Dec, distance (AU, like the other bodies),
+    // height above the ground (km), whether the Earth's shadow covers it and
+    // its altitude without refraction (degrees), enough to tell which are up
+    static positions(satellites, date, observer) {
+        const jd = AstroTime.julianDate(date);
+        const gmst = AstroTime.greenwichMeanSiderealTime(date) * Math.PI / 180;
+        const site = Satellites.observerPosition(observer, gmst);
+        const latitude = observer.latitude * Math.PI / 180;
+        const angle = gmst + observer.longitude * Math.PI / 180;
+        const zenith = [
+            Math.cos(latitude) * Math.cos(angle),
+            Math.cos(latitude) * Math.sin(angle),
+            Math.sin(latitude)
+        ];
+
+        // TEME -> true equator and equinox of date -> J2000
+        const toJ2000 = Astrometry.multiply(
+            Astrometry.transpose(Astrometry.precessionNutationMatrix(date)),
+            Astrometry.rotationZ(-AstroTime.equationOfEquinoxes(date) * Math.PI / 180)
+        );
+        const earth = Ephemeris.earthPosition(AstroTime.julianCenturies(date));
+        const sun = Astrometry.applyMatrix(Astrometry.transpose(toJ2000), earth.map(value => -value));
+        const sunDistance = Ephemeris.length(sun);
+        const sunDirection = sun.map(value => value / sunDistance);
+
+        return satellites.map(satellite => {
+            const position = Satellites.sgp4(satellite.orbit, (jd - satellite.epoch) * 1440);
+            if (!position) return null;
+
+            const topocentric = Ephemeris.subtract(position, site);
+            const distance = Ephemeris.length(topocentric);
+            return {
+                ...satellite,
+                ...Astrometry.fromVector(Astrometry.applyMatrix(toJ2000, topocentric)),
+                distance: distance / Ephemeris.AU_KM,
+                height: Ephemeris.length(position) - Satellites.WGS84_RADIUS,
+                eclipsed: Satellites.inEarthShadow(position, sunDirection),
+                geometricAltitude: Math.asin(
+                    (topocentric[0] * zenith[0] + topocentric[1] * zenith[1] + topocentric[2] * zenith[2]) / distance
+                ) * 180 / Math.PI
+            };
+        }).filter(Boolean);
+    }
+
+    // Cylindrical shadow: behind the Earth as seen from the Sun and closer
+    // to the Sun-Earth line than the Earth's radius
+    static inEarthShadow(position, sunDirection) {
+        const along = position[0] * sunDirection[0] + position[1] * sunDirection[1] + position[2] * sunDirection[2];
+        if (along > 0) return false;
+        const across = position.map((value, i) => value - along * sunDirection[i]);
+        return Ephemeris.length(across) < Satellites.WGS84_RADIUS;
+    }
+
+    // Observer on the WGS-84 ellipsoid in TEME (km) for a GMST in radians
+    static observerPosition({ latitude, longitude, elevation = 0 }, gmst) {
+        const lat = latitude * Math.PI / 180;
+        const angle = gmst + longitude * Math.PI / 180;
+        const f = Satellites.WGS84_FLATTENING;
+        const e2 = f * (2 - f);
+        const n = Satellites.WGS84_RADIUS / Math.sqrt(1 - e2 * Math.sin(lat) ** 2);
+        const h = elevation / 1000;
+        return [
+            (n + h) * Math.cos(lat) * Math.cos(angle),
+            (n + h) * Math.cos(lat) * Math.sin(angle),
+            (n * (1 - e2) + h) * Math.sin(lat)
+        ];
+    }
+}
+
+// WGS-72 constants used by SGP4 (km, earth radii per minute)
+Satellites.EARTH_RADIUS = 6378.135;
+Satellites.MU = 398600.8;
+Satellites.XKE = 60 / Math.sqrt(Satellites.EARTH_RADIUS ** 3 / Satellites.MU);
+Satellites.J2 = 0.001082616;
+Satellites.J3 = -0.00000253881;
+Satellites.J4 = -0.00000165597;
+Satellites.J3OJ2 = Satellites.J3 / Satellites.J2;
+
+// WGS-84 ellipsoid for the observer and the shadow
+Satellites.WGS84_RADIUS = 6378.137;
+Satellites.WGS84_FLATTENING = 1 / 298.257223563;
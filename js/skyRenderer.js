@@ -3,10 +3,18 @@ class SkyRenderer {
         // Add version info
         this.version = "v0.18 - Horizon Genesis ";
 
-        // Add observer location (default to Toronto)
+        // Add observer location (default to Toronto) and the conditions used
+        // for refraction and extinction (°C, hPa; pressure 0 = no atmosphere).
+        // The sky quality is the naked-eye limiting magnitude on a moonless
+        // night, with the Bortle class it was picked from (null when entered
+        // directly).
         this.location = {
             latitude: 43.6532,
-            longitude: -79.3832
+            longitude: -79.3832,
+            temperature: 10,
+            pressure: 1010,
+            bortle: null,
+            limitingMagnitude: Atmosphere.DARK_SKY_LIMIT
         };
 
         this.canvas = canvas;
@@ -38,13 +46,25 @@ class SkyRenderer {
             showEcliptic: true,
             showLabels: true,
             showConstellations: true,
+            showBoundaries: false,
+            showConstellationNames: true,
+            showSun: true,
+            showMoon: true,
+            showPlanets: true,
+            showPlanetOrbits: false,
+            showMinorBodies: true,
+            showSatellites: true,
             showMeteors: true,
             showStars: true,
             showStarNames: true,
             showNebulae: true,
             showGalaxies: true,
             showClusters: true,
-            showHorizon: true  // Add new setting for horizon circle
+            showHorizon: true,  // Add new setting for horizon circle
+            hideStarsBelowHorizon: false,
+            showGround: false,
+            // Sky brightness from the Sun: twilight colours and stars washing out
+            showDaylight: true
         };
 
         // Initialize WebGL context and resources
@@ -52,8 +72,9 @@ class SkyRenderer {
         this.initShaders(this.gl);
         this.initBuffers(this.gl);
 
-        // Add rotation for Hammer projection
-        this.hammerRotation = 0;
+        // Longitude turn of the full sky maps (radians): shift-drag on
+        // Hammer-Aitoff and Mollweide, plain drag on the cylinders
+        this.mapRotation = 0;
 
         // Add pan parameters
         this.pan = { x: 0, y: 0 };
@@ -61,9 +82,23 @@ class SkyRenderer {
         this.rotation = { x: 0, y: 0 };
         this.zoom = 2.0;
         this.projectionType = 'spherical';  // Default projection
+
+        // 'equatorial' spins the celestial sphere freely; 'horizon' stands the
+        // observer at the center with the zenith up, looking along view (degrees)
+        this.cameraMode = 'equatorial';
+        this.view = { azimuth: 180, altitude: 30 };
+
+        // Constellation labels: 'name' or 'abbr', and the language of the names
+        this.constellationLabels = { style: 'name', language: 'la' };
+        // Planet paths: days either side of the displayed time, days between
+        // points and between date ticks
+        this.planetPathOptions = { days: 182, step: 1, tickDays: 30 };
         
-        // Initialize meteor showers array
+        // Initialize meteor showers array and the meteors flying from them
         this.meteorShowers = [];
+        this.meteors = new Meteors();
+        // Simulated seconds per real second, set by the time controls
+        this.timeSpeed = 1;
         
         // Initialize grid
         this.initGrid();
@@ -77,6 +112,9 @@ class SkyRenderer {
         // Add location UI
         this.createLocationUI();
 
+        // Sky coordinates under the mouse
+        this.createCursorReadout();
+
         // Initial resize
         this.resize();
     }
@@ -102,9 +140,9 @@ class SkyRenderer {
         this.canvases.hammer.style.bottom = '0';
     }
 
+    // Any projection in the Projections registry
     setProjection(type) {
-        const validTypes = ['spherical', 'stereographic', 'mercator', 'hammer'];
-        if (validTypes.includes(type)) {
+        if (Projections.get(type)) {
             this.projectionType = type;
             if (this.stars) {
                 this.updateStarData(this.stars);
@@ -112,6 +150,37 @@ class SkyRenderer {
         }
     }
 
+    setCameraMode(mode) {
+        const validModes = ['equatorial', 'horizon'];
+        if (!validModes.includes(mode)) return;
+
+        this.cameraMode = mode;
+        // The local-sky camera lives in the 3D view
+        if (mode === 'horizon' && this.projectionType !== 'spherical') {
+            this.setProjection('spherical');
+        }
+        this.updateMatrices();
+    }
+
+    // Vertical field of view of the horizon camera in degrees
+    horizonFieldOfView() {
+        return Math.max(2, Math.min(120, 120 / this.zoom));
+    }
+
+    // Turns the sidereal scene frame (x to the meridian, y east, z to the pole)
+    // into the local frame the horizon camera uses: x east, y zenith, z south
+    horizonMatrix() {
+        const latRad = this.location.latitude * Math.PI / 180;
+        const sinLat = Math.sin(latRad);
+        const cosLat = Math.cos(latRad);
+        return mat4.fromValues(
+            0, cosLat, sinLat, 0,
+            1, 0, 0, 0,
+            0, sinLat, -cosLat, 0,
+            0, 0, 0, 1
+        );
+    }
+
     initShaders(gl) {
         // Vertex shader program for stars
         const vsSource = `
@@ -121,9 +190,11 @@ class SkyRenderer {
             
             uniform mat4 uModelViewMatrix;
             uniform mat4 uProjectionMatrix;
+            uniform float uLimitingMagnitude;
             
             varying float vMagnitude;
             varying vec3 vColor;
+            varying float vVisibility;
             
             void main() {
                 vec4 pos = uProjectionMatrix * uModelViewMatrix * vec4(aPosition, 1.0);
@@ -134,6 +205,8 @@ class SkyRenderer {
                 gl_PointSize = pointSize;
                 vMagnitude = aMagnitude;
                 vColor = aColor;
+                // Stars fade out over the last magnitude before the limit
+                vVisibility = clamp(uLimitingMagnitude - aMagnitude, 0.0, 1.0);
             }
         `;
 
@@ -142,8 +215,10 @@ class SkyRenderer {
             precision mediump float;
             varying float vMagnitude;
             varying vec3 vColor;
+            varying float vVisibility;
             
             void main() {
+                if (vVisibility <= 0.0) discard;
                 vec2 center = gl_PointCoord - vec2(0.5);
                 float dist = length(center);
                 
@@ -155,7 +230,7 @@ class SkyRenderer {
                 // Use pure star color without mixing or gradients
                 vec3 color = vColor * 1.5;  // Boost color intensity
                 
-                gl_FragColor = vec4(color, brightness);
+                gl_FragColor = vec4(color, brightness * vVisibility);
             }
         `;
 
@@ -173,7 +248,8 @@ class SkyRenderer {
         // Get uniform locations for this context
         this.starUniforms = {
             modelView: gl.getUniformLocation(program, 'uModelViewMatrix'),
-            projection: gl.getUniformLocation(program, 'uProjectionMatrix')
+            projection: gl.getUniformLocation(program, 'uProjectionMatrix'),
+            limitingMagnitude: gl.getUniformLocation(program, 'uLimitingMagnitude')
         };
     }
 
@@ -233,6 +309,7 @@ class SkyRenderer {
             const rect = canvas.getBoundingClientRect();
             const mouseX = e.clientX - rect.left;
             const mouseY = e.clientY - rect.top;
+            this.updateCursorReadout(mouseX, mouseY);
             
             // Check for hover over special points
             let foundPoint = null;
@@ -292,40 +369,32 @@ class SkyRenderer {
             const deltaX = e.clientX - lastX;
             const deltaY = e.clientY - lastY;
             
-            switch (this.projectionType) {
-                case 'spherical':
-                // 3D rotation for spherical projection
-                this.rotation.x += deltaY * 0.005;
-                this.rotation.y += deltaX * 0.005;
-                    break;
-                    
-                case 'stereographic':
-                    // Regular 2D pan for stereographic
-                    const stereoScaleFactor = 2.0 / (this.scale * this.gl.canvas.width);
-                    this.pan.x += deltaX * stereoScaleFactor;
-                    this.pan.y -= deltaY * stereoScaleFactor;
-                    break;
-                    
-                case 'hammer':
-                    if (e.shiftKey) {
-                        // Rotate around polar axis when shift is held
-                        this.hammerRotation += deltaX * 0.005;
-            } else {
-                        // Pan normally
-                        const hammerScaleFactor = 2.0 / (this.scale * this.gl.canvas.width);
-                        this.pan.x += deltaX * hammerScaleFactor;
-                        this.pan.y -= deltaY * hammerScaleFactor;
-                    }
-                    break;
-                    
-                case 'mercator':
-                    // Infinite horizontal scroll for Mercator
-                    const mercatorScaleFactor = 2.0 / (this.scale * this.gl.canvas.width);
-                    this.pan.x += deltaX * mercatorScaleFactor;
+            const projection = Projections.get(this.projectionType);
+            const scaleFactor = 2.0 / (this.scale * this.gl.canvas.width);
+            if (!projection.flat) {
+                if (this.cameraMode === 'horizon') {
+                    // Drag the sky: sideways turns in azimuth, vertically tilts in altitude
+                    const degreesPerPixel = this.horizonFieldOfView() / this.canvas.clientHeight;
+                    this.view.azimuth = AstroTime.normalizeDegrees(this.view.azimuth - deltaX * degreesPerPixel);
+                    this.view.altitude = Math.max(-90, Math.min(90, this.view.altitude + deltaY * degreesPerPixel));
+                } else {
+                    // 3D rotation for spherical projection
+                    this.rotation.x += deltaY * 0.005;
+                    this.rotation.y += deltaX * 0.005;
+                }
+            } else if (projection.seam && (projection.scroll || e.shiftKey)) {
+                // Turn the map around the polar axis: endless horizontal
+                // scroll on the cylinders, shift-drag on the ellipses
+                this.mapRotation += deltaX * 2 * scaleFactor;
+                if (projection.scroll) {
                     // Limit vertical pan to avoid extreme distortion
-                    const newY = this.pan.y - deltaY * mercatorScaleFactor;
+                    const newY = this.pan.y - deltaY * scaleFactor;
                     this.pan.y = Math.max(Math.min(newY, Math.PI/2), -Math.PI/2);
-                    break;
+                }
+            } else {
+                // Regular 2D pan
+                this.pan.x += deltaX * scaleFactor;
+                this.pan.y -= deltaY * scaleFactor;
             }
             
             lastX = e.clientX;
@@ -366,6 +435,7 @@ class SkyRenderer {
             let closestProjected = null;
             
             transformedStars.forEach(star => {
+                if (this.isBelowHorizon(star)) return;
                 const projected = this.projectPoint(star);
                 if (projected) {
                     const dx = projected.x - mouseX;
@@ -380,6 +450,20 @@ class SkyRenderer {
                 }
             });
 
+            // The Sun, Moon, planets, comets and asteroids as drawn in the last frame
+            this.drawnBodies().forEach(body => {
+                if (!this.isBodyVisible(body)) return;
+                const projected = this.projectPoint(body);
+                if (projected) {
+                    const distance = Math.max(0, Math.hypot(projected.x - mouseX, projected.y - mouseY) - (body.screenRadius || 0));
+                    if (distance < minDistance) {
+                        minDistance = distance;
+                        closestStar = body;
+                        closestProjected = projected;
+                    }
+                }
+            });
+
             const threshold = 10; // Use consistent screen-space threshold
 
             if (minDistance < threshold && closestStar && closestProjected) {
@@ -419,6 +503,9 @@ class SkyRenderer {
                 contentContainer.style.padding = '5px';
                 contentContainer.style.color = '#fff';
                 contentContainer.style.fontSize = '12px';
+                const constellation = this.constellations?.find(closestStar.ra, closestStar.dec);
+                const isBody = SkyRenderer.isMovingBody(closestStar);
+                const riseSet = this.riseSetTimes(closestStar, currentTime);
                 function showSummary() {
                     summaryTab.style.backgroundColor = '#222';
                     rawTab.style.backgroundColor = '#444';
@@ -438,11 +525,51 @@ class SkyRenderer {
                     const spectral = closestStar.spectralType || (closestStar.colorIndex !== undefined ? closestStar.colorIndex : 'N/A');
                     
                     // Only show ID in details if it's not already shown in header
-                    if (nameHeader.textContent !== id) {
+                    if (nameHeader.textContent !== id && !isBody) {
                         starInfo.innerHTML += `<strong>Catalog ID:</strong> ${id}<br>`;
                     }
-                    starInfo.innerHTML += `<strong>Magnitude:</strong> ${magnitude}<br>` +
-                                        `<strong>Spectral Type / Color Index:</strong> ${spectral}`;
+                    starInfo.innerHTML += `<strong>Magnitude:</strong> ${magnitude}<br>`;
+                    if (isBody) {
+                        const distance = closestStar.type === 'moon' || closestStar.type === 'satellite' ?
+                            `${Math.round(closestStar.distance * Ephemeris.AU_KM).toLocaleString()} km` :
+                            `${closestStar.distance.toFixed(3)} AU`;
+                        starInfo.innerHTML += `<strong>Distance:</strong> ${distance}<br>`;
+                        if (closestStar.heliocentricDistance !== undefined) {
+                            starInfo.innerHTML += `<strong>Distance from Sun:</strong> ${closestStar.heliocentricDistance.toFixed(3)} AU<br>`;
+                        }
+                        if (closestStar.angularDiameter !== undefined) {
+                            starInfo.innerHTML += `<strong>Apparent Diameter:</strong> ${SkyRenderer.formatArcseconds(closestStar.angularDiameter)}<br>`;
+                        }
+                        if (closestStar.type === 'satellite') {
+                            starInfo.innerHTML += `<strong>Height:</strong> ${Math.round(closestStar.height).toLocaleString()} km<br>` +
+                                                `<strong>Lighting:</strong> ${closestStar.eclipsed ? 'in the Earth\'s shadow' : 'sunlit'}<br>`;
+                        }
+                        if (closestStar.type === 'moon') {
+                            starInfo.innerHTML += `<strong>Phase:</strong> ${closestStar.phaseName}<br>` +
+                                                `<strong>Age:</strong> ${closestStar.age.toFixed(1)} days<br>` +
+                                                `<strong>Illumination:</strong> ${(closestStar.illumination * 100).toFixed(0)}%<br>`;
+                        }
+                    } else {
+                        starInfo.innerHTML += `<strong>Spectral Type / Color Index:</strong> ${spectral}<br>`;
+                    }
+                    starInfo.innerHTML += `<strong>Alt / Az:</strong> ${closestStar.altitude.toFixed(1)}° / ${closestStar.azimuth.toFixed(1)}°`;
+                    if (riseSet) {
+                        const event = date => date ? SkyRenderer.formatEventTime(date) : '—';
+                        if (riseSet.circumpolar) {
+                            starInfo.innerHTML += '<br><strong>Rise / Set:</strong> circumpolar, never sets';
+                        } else if (riseSet.neverRises) {
+                            starInfo.innerHTML += '<br><strong>Rise / Set:</strong> never rises';
+                        } else {
+                            starInfo.innerHTML += `<br><strong>Rises:</strong> ${event(riseSet.rise)}` +
+                                                `<br><strong>Sets:</strong> ${event(riseSet.set)}`;
+                        }
+                        if (riseSet.transit) {
+                            starInfo.innerHTML += `<br><strong>Transits:</strong> ${event(riseSet.transit)} at ${riseSet.transitAltitude.toFixed(1)}°`;
+                        }
+                    }
+                    if (constellation) {
+                        starInfo.innerHTML += `<br>in ${constellation.name}`;
+                    }
                     contentContainer.appendChild(starInfo);
                 }
                 function showRaw() {
@@ -523,7 +650,7 @@ class SkyRenderer {
             if (this.projectionType === 'spherical') {
                 // 3D zoom for spherical projection
                 this.zoom *= e.deltaY > 0 ? 0.9 : 1.1;
-                this.zoom = Math.max(0.1, Math.min(this.zoom, 5.0));
+                this.zoom = Math.max(0.1, Math.min(this.zoom, this.cameraMode === 'horizon' ? 60.0 : 5.0));
             } else {
                 // 2D zoom for flat projections
                 const zoomFactor = e.deltaY > 0 ? 0.9 : 1.1;
@@ -576,15 +703,17 @@ class SkyRenderer {
         }
 
         this.stars = stars;
-        const transformedStars = this.transformStarsForProjection(stars, this.projectionType, currentTime);
+        const allStars = this.transformStarsForProjection(stars, this.projectionType, currentTime);
         
         // Update positions of active stars
-        transformedStars.forEach(transformedStar => {
+        allStars.forEach(transformedStar => {
             if (this.activeStars.has(transformedStar.id)) {
                 const info = this.activeStars.get(transformedStar.id);
                 info.star = transformedStar;  // Update with new transformed position
             }
         });
+
+        const transformedStars = allStars.filter(star => !this.isBelowHorizon(star) && isFinite(star.x));
         
         const positions = new Float32Array(transformedStars.length * 3);
         const magnitudes = new Float32Array(transformedStars.length);
@@ -594,7 +723,7 @@ class SkyRenderer {
             positions[i * 3] = star.x;
             positions[i * 3 + 1] = star.y;
             positions[i * 3 + 2] = star.z;
-            magnitudes[i] = star.magnitude;
+            magnitudes[i] = star.apparentMagnitude;
             
             const [r, g, b] = star.spectralType ? 
                 this.spectralTypeToRGB(star.spectralType) :
@@ -617,6 +746,205 @@ class SkyRenderer {
         this.starCount = transformedStars.length;
     }
 
+    updateDeepSkyObjects(deepSkyObjects) {
+        this.deepSkyObjects = deepSkyObjects;
+    }
+
+    updateMeteorShowers(meteorShowers) {
+        this.meteorShowerCatalog = meteorShowers;
+        this.meteorShowerKey = null;
+    }
+
+    // Showers with their activity, rate and drifted radiant for the rendered
+    // time, cached per frame
+    getMeteorShowers(currentTime = this.currentRenderTime || new Date()) {
+        if (!this.meteorShowerCatalog) return [];
+        const key = currentTime.getTime();
+        if (this.meteorShowerKey !== key) {
+            this.meteorShowerKey = key;
+            this.meteorShowers = this.meteorShowerCatalog.at(currentTime);
+        }
+        return this.meteorShowers;
+    }
+
+    updateConstellationLines(constellationLines) {
+        this.constellationLines = constellationLines || [];
+        this.constellationIndex = null;
+    }
+
+    // IAU names and boundaries (a Constellations instance)
+    updateConstellations(constellations) {
+        this.constellations = constellations;
+        this.initGrid();
+    }
+
+    setConstellationLabels(options) {
+        this.constellationLabels = { ...this.constellationLabels, ...options };
+        this.render(this.currentRenderTime);
+    }
+
+    // How far in the view is zoomed, 1 at the default for each projection
+    labelZoom() {
+        if (this.projectionType === 'spherical') {
+            return this.cameraMode === 'horizon' ? 60 / this.horizonFieldOfView() : this.zoom / 2;
+        }
+        return this.scale;
+    }
+
+    drawConstellationLabels() {
+        if (!this.constellations?.list.length || !this.ctx2d) return;
+
+        const ctx = this.ctx2d;
+        const { style, language } = this.constellationLabels;
+        const zoom = this.labelZoom();
+
+        // Serpens has a label on each half
+        const points = [];
+        this.constellations.list.forEach(constellation => {
+            (constellation.labels || []).forEach(([ra, dec]) => points.push({ ra, dec, constellation }));
+        });
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        this.transformStarsForProjection(points, this.projectionType, this.currentRenderTime).forEach(point => {
+            if (this.isBelowHorizon(point)) return;
+
+            // The big constellations are always labeled; the rest fade in as
+            // the view zooms in (rank 2 from 0.5x, rank 3 from 0.9x)
+            const fadeStart = { 1: 0, 2: 0.5, 3: 0.9 }[point.constellation.rank] ?? 0.9;
+            const alpha = Math.max(0, Math.min(1, (zoom - fadeStart) / 0.3));
+            if (alpha <= 0) return;
+
+            const pos = this.projectPoint(point);
+            if (!pos || pos.x < 0 || pos.y < 0 || pos.x > this.canvas.width || pos.y > this.canvas.height) return;
+
+            const text = style === 'abbr' ?
+                point.constellation.abbr :
+                Constellations.localName(point.constellation, language);
+            const size = Math.round(Math.max(11, Math.min(16, 10 + 2 * zoom)));
+            ctx.font = `${size}px Arial`;
+            ctx.fillStyle = `rgba(140, 170, 255, ${(0.6 * alpha).toFixed(3)})`;
+            ctx.fillText(style === 'abbr' ? text : text.toUpperCase(), pos.x, pos.y);
+        });
+        ctx.restore();
+    }
+
+    // Stars the figures refer to, looked up once per star catalog. Figures
+    // numbered by HIP also find the stars of an HR catalog through the HIP
+    // number StarData cross-matched onto them.
+    getConstellationStars() {
+        if (!this.constellationIndex || this.constellationIndex.stars !== this.stars) {
+            const ids = new Set();
+            this.constellationLines.forEach(line => {
+                ids.add(line.from);
+                ids.add(line.to);
+            });
+            this.constellationIndex = {
+                stars: this.stars,
+                members: this.stars.filter(star => SkyRenderer.starKeys(star).some(key => ids.has(key)))
+            };
+        }
+        return this.constellationIndex.members;
+    }
+
+    // Ids a star can be referred to by
+    static starKeys(star) {
+        return star.hip === undefined ? [star.id] : [star.id, `HIP ${star.hip}`];
+    }
+
+    drawConstellations() {
+        if (!this.constellationLines?.length || !this.stars || !this.ctx2d) return;
+
+        const ctx = this.ctx2d;
+        const placed = new Map();
+        this.transformStarsForProjection(this.getConstellationStars(), this.projectionType, this.currentRenderTime)
+            .forEach(star => SkyRenderer.starKeys(star).forEach(key => placed.set(key, star)));
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(100, 150, 255, 0.45)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        this.constellationLines.forEach(line => {
+            const from = placed.get(line.from);
+            const to = placed.get(line.to);
+            // Segments to stars the catalog doesn't carry (Mira sits below
+            // the bundled V 6.0 cut) are skipped
+            if (from && to) {
+                this.traceSkySegment(ctx, from, to);
+            }
+        });
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Adds the great-circle arc between two placed objects (anything with
+    // altitude/azimuth) to the current path. The arc is sampled every couple of
+    // degrees so it curves properly on flat maps, and is broken wherever it
+    // crosses a projection seam, leaves the view or dips under a hidden horizon.
+    traceSkySegment(ctx, from, to) {
+        const toVector = ({ altitude, azimuth }) => {
+            const altRad = altitude * Math.PI / 180;
+            const azRad = azimuth * Math.PI / 180;
+            return [Math.cos(altRad) * Math.cos(azRad), Math.cos(altRad) * Math.sin(azRad), Math.sin(altRad)];
+        };
+        const a = toVector(from);
+        const b = toVector(to);
+        const angle = Math.acos(Math.max(-1, Math.min(1, a[0] * b[0] + a[1] * b[1] + a[2] * b[2])));
+        const steps = Math.max(1, Math.ceil(angle * 180 / Math.PI / 2));
+        const limit = 10 * (this.canvas.width + this.canvas.height);
+
+        let last = null;
+        for (let i = 0; i <= steps; i++) {
+            const t = i / steps;
+            const v = angle < 1e-9 ? a : a.map((value, k) =>
+                (Math.sin((1 - t) * angle) * value + Math.sin(t * angle) * b[k]) / Math.sin(angle)
+            );
+            const altitude = Math.asin(Math.max(-1, Math.min(1, v[2]))) * 180 / Math.PI;
+            const azimuth = Math.atan2(v[1], v[0]) * 180 / Math.PI;
+
+            const scene = this.horizontalToScene(azimuth, altitude);
+            const pos = this.isBelowHorizon({ altitude }) ? null : this.projectPoint(scene);
+            const usable = pos && isFinite(pos.x) && isFinite(pos.y) &&
+                // Points just in front of the camera plane blow up in perspective
+                (Projections.get(this.projectionType).flat || Math.abs(pos.x) + Math.abs(pos.y) < limit);
+
+            if (usable && last && !this.crossesSeam(last, scene)) {
+                ctx.lineTo(pos.x, pos.y);
+            } else if (usable) {
+                ctx.moveTo(pos.x, pos.y);
+            }
+            last = usable ? scene : null;
+        }
+    }
+
+    // True when two nearby sky points (projection coordinates) sit on opposite
+    // edges of a flat map, i.e. the line between them would cross its seam
+    crossesSeam(a, b, type = this.projectionType) {
+        return Projections.get(type).breaks(a, b);
+    }
+
+    // Adds a line through scene points to the current path, broken wherever
+    // a point is off the projection or a segment crosses its seam
+    traceScenePath(ctx, points) {
+        let last = null;
+        points.forEach(point => {
+            const pos = this.projectPoint(point);
+            if (pos && last && !this.crossesSeam(last, point)) {
+                ctx.lineTo(pos.x, pos.y);
+            } else if (pos) {
+                ctx.moveTo(pos.x, pos.y);
+            }
+            last = pos ? point : null;
+        });
+    }
+
+    // True when the object (with altitude from transformStarsForProjection)
+    // should be culled because it is under the ground
+    isBelowHorizon(obj) {
+        return this.visibility.hideStarsBelowHorizon && obj.altitude < 0;
+    }
+
     drawStars() {
         if (!this.starCount) {
             console.warn('No stars to draw');
@@ -628,6 +956,7 @@ class SkyRenderer {
         // Update matrices
         this.gl.uniformMatrix4fv(this.starUniforms.projection, false, this.projectionMatrix);
         this.gl.uniformMatrix4fv(this.starUniforms.modelView, false, this.modelViewMatrix);
+        this.gl.uniform1f(this.starUniforms.limitingMagnitude, this.getSkyConditions().limitingMagnitude);
 
         // Enable blending for better star appearance
         this.gl.enable(this.gl.BLEND);
@@ -664,166 +993,776 @@ class SkyRenderer {
         this.gl.disable(this.gl.BLEND);
     }
 
+    // Sun, Moon and planets for the rendered time and place, cached per frame
+    getSolarSystemBodies(currentTime = this.currentRenderTime || new Date()) {
+        const key = `${currentTime.getTime()}|${this.location.latitude}|${this.location.longitude}`;
+        if (this.ephemerisKey !== key) {
+            this.ephemerisKey = key;
+            this.ephemeris = Ephemeris.positions(currentTime, this.location);
+        }
+        return this.ephemeris;
+    }
+
+    // How bright the sky is at the rendered time: the Sun's geometric
+    // altitude, the twilight that makes, the background colour and the
+    // faintest star still visible given the location's sky quality. Without
+    // an atmosphere (pressure 0) or with daylight switched off the sky stays
+    // dark.
+    getSkyConditions(currentTime = this.currentRenderTime || new Date()) {
+        const { latitude, longitude, pressure, limitingMagnitude: darkSkyLimit } = this.location;
+        const key = `${currentTime.getTime()}|${latitude}|${longitude}|${pressure}|${darkSkyLimit}|${this.visibility.showDaylight}`;
+        if (this.skyConditionsKey === key) return this.skyConditions;
+
+        const frame = this.getSkyFrame(currentTime);
+        const sun = this.getSolarSystemBodies(currentTime).find(body => body.type === 'sun');
+        const apparent = Astrometry.j2000ToDate(sun.ra, sun.dec, frame.precession);
+        const { altitude } = Astrometry.equatorialToHorizontal(apparent.ra, apparent.dec, frame.lst, latitude);
+        const lit = this.visibility.showDaylight && pressure > 0;
+
+        this.skyConditionsKey = key;
+        this.skyConditions = {
+            sunAltitude: altitude,
+            twilight: Atmosphere.twilight(altitude),
+            color: Atmosphere.skyColor(lit ? altitude : -90),
+            limitingMagnitude: lit ? Atmosphere.limitingMagnitude(altitude, darkSkyLimit) : darkSkyLimit
+        };
+        return this.skyConditions;
+    }
+
+    // Objects that are recomputed every frame rather than read from a catalog
+    static isMovingBody(obj) {
+        return ['sun', 'moon', 'planet', 'comet', 'asteroid', 'satellite'].includes(obj?.type);
+    }
+
+    isBodyVisible(body) {
+        const toggle = {
+            sun: 'showSun', moon: 'showMoon', planet: 'showPlanets',
+            comet: 'showMinorBodies', asteroid: 'showMinorBodies', satellite: 'showSatellites'
+        }[body.type];
+        // The Earth itself hides satellites below the horizon
+        return this.visibility[toggle] && !this.isBelowHorizon(body) &&
+            !(body.type === 'satellite' && body.altitude < 0);
+    }
+
+    // Bodies with their positions from the last frame, for picking and search
+    drawnBodies() {
+        return [
+            ...(this.solarSystemBodies || []),
+            ...(this.minorBodyPositions || []),
+            ...(this.satellitePositions || [])
+        ];
+    }
+
+    // Next rise, transit and set of a star, deep sky object or solar system
+    // body after a date, for the current location (see RiseSet.compute).
+    // Satellites go round too fast for this and give null.
+    riseSetTimes(obj, date = this.currentRenderTime || new Date()) {
+        let positionAt;
+        let radius = 0;
+        if (obj.type === 'satellite') {
+            return null;
+        } else if (['sun', 'moon', 'planet'].includes(obj.type)) {
+            positionAt = time => Ephemeris.positions(time, this.location).find(body => body.id === obj.id);
+        } else if (obj.type === 'comet' || obj.type === 'asteroid') {
+            const orbit = this.minorBodies.find(body => body.id === obj.id);
+            if (!orbit) return null;
+            positionAt = time => Ephemeris.minorBodyPositions([orbit], time, this.location)[0];
+        } else {
+            const years = AstroTime.julianCenturies(date) * 100;
+            const position = Astrometry.hasSpaceMotion(obj) ? Astrometry.propagateSpaceMotion(obj, years) : obj;
+            positionAt = () => position;
+        }
+        if (obj.angularDiameter) {
+            radius = obj.angularDiameter / 7200;
+        }
+        return RiseSet.compute(positionAt, date, this.location, { radius });
+    }
+
+    static formatEventTime(date) {
+        return date.toLocaleString(undefined, {
+            month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', timeZone: 'UTC'
+        }) + ' UTC';
+    }
+
+    updateSatellites(satellites) {
+        this.satellites = satellites || [];
+        this.satelliteKey = null;
+        this.satelliteTrails = null;
+        this.satellitePositions = [];
+        this.render(this.currentRenderTime);
+    }
+
+    // Satellites at the rendered time with a short trail of where they were
+    // over the last minutes, for the ones above the horizon. Only the heads
+    // are propagated every frame: trail points sit on whole multiples of the
+    // trail step, so they are computed once and reused until they drop off
+    // the end of the trail.
+    getSatellites(currentTime = this.currentRenderTime || new Date()) {
+        const key = `${currentTime.getTime()}|${this.location.latitude}|${this.location.longitude}`;
+        if (this.satelliteKey !== key) {
+            this.satelliteKey = key;
+            // The ones well below the horizon are never drawn; leave them out
+            // before the costlier trip through the sky frame
+            const now = this.transformStarsForProjection(
+                Satellites.positions(this.satellites, currentTime, this.location)
+                    .filter(satellite => satellite.geometricAltitude > -2),
+                this.projectionType, currentTime
+            );
+            const up = now.filter(satellite => satellite.altitude >= 0);
+            const trails = this.satelliteTrailPoints(up.map(({ id }) => id), currentTime);
+            up.forEach(satellite => {
+                satellite.trail = trails[satellite.id] || [];
+            });
+            this.satelliteEphemeris = now;
+        }
+        return this.satelliteEphemeris;
+    }
+
+    // Trail points (newest first) of the given satellites for the trail
+    // ending at a time, from the cache of step-aligned samples
+    satelliteTrailPoints(ids, currentTime) {
+        const { minutes, step } = SkyRenderer.satelliteTrail;
+        const stepMs = step * 1000;
+        const location = `${this.location.latitude}|${this.location.longitude}`;
+        if (this.satelliteTrails?.location !== location) {
+            this.satelliteTrails = { location, samples: new Map() };
+        }
+        const { samples } = this.satelliteTrails;
+
+        // Sample times inside the trail window, newest first
+        const times = [];
+        const newest = Math.ceil(currentTime.getTime() / stepMs) * stepMs - stepMs;
+        for (let time = newest; time >= currentTime.getTime() - minutes * 60000; time -= stepMs) {
+            times.push(time);
+        }
+        const kept = new Set(times);
+        [...samples.keys()].forEach(time => {
+            if (!kept.has(time)) samples.delete(time);
+        });
+
+        const byId = new Map(this.satellites.map(satellite => [satellite.id, satellite]));
+        const trails = {};
+        times.forEach(time => {
+            if (!samples.has(time)) samples.set(time, new Map());
+            const sample = samples.get(time);
+
+            // Satellites that just rose get their older points filled in
+            const missing = ids.filter(id => !sample.has(id)).map(id => byId.get(id)).filter(Boolean);
+            if (missing.length) {
+                missing.forEach(({ id }) => sample.set(id, null));
+                Satellites.positions(missing, new Date(time), this.location).forEach(position => {
+                    sample.set(position.id, position);
+                });
+            }
+            ids.forEach(id => {
+                const position = sample.get(id);
+                if (position) (trails[id] = trails[id] || []).push(position);
+            });
+        });
+        return trails;
+    }
+
+    // Sunlit satellites as bright dots, ones in the Earth's shadow as dim
+    // rings, each trailing the path it has just flown
+    drawSatellites() {
+        if (!this.ctx2d) return;
+
+        const ctx = this.ctx2d;
+        this.satellitePositions = this.getSatellites();
+
+        ctx.save();
+        this.satellitePositions.forEach(satellite => {
+            satellite.screenRadius = 0;
+            if (!this.isBodyVisible(satellite)) return;
+
+            // Trail points are transformed for this frame's view
+            const trail = this.transformStarsForProjection(
+                [satellite, ...satellite.trail], this.projectionType, this.currentRenderTime
+            );
+            let last = null;
+            trail.forEach((point, i) => {
+                const pos = point.altitude >= 0 ? this.projectPoint(point) : null;
+                if (pos && last && !this.crossesSeam(last.point, point)) {
+                    ctx.strokeStyle = point.eclipsed ?
+                        `rgba(120, 120, 140, ${0.4 * (1 - i / trail.length)})` :
+                        `rgba(255, 255, 220, ${0.6 * (1 - i / trail.length)})`;
+                    ctx.lineWidth = 1;
+                    ctx.beginPath();
+                    ctx.moveTo(last.pos.x, last.pos.y);
+                    ctx.lineTo(pos.x, pos.y);
+                    ctx.stroke();
+                }
+                last = pos ? { pos, point } : null;
+            });
+
+            const pos = this.projectPoint(satellite);
+            if (!pos) return;
+            satellite.screenRadius = 3;
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, 3, 0, Math.PI * 2);
+            if (satellite.eclipsed) {
+                ctx.strokeStyle = 'rgba(150, 150, 170, 0.8)';
+                ctx.stroke();
+            } else {
+                ctx.fillStyle = 'rgba(255, 255, 230, 1)';
+                ctx.fill();
+            }
+
+            if (this.visibility.showLabels) {
+                ctx.font = '11px Arial';
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'middle';
+                ctx.fillStyle = satellite.eclipsed ? 'rgba(150, 150, 170, 0.8)' : 'rgba(255, 255, 230, 0.9)';
+                ctx.fillText(satellite.name, pos.x + 7, pos.y);
+            }
+        });
+        ctx.restore();
+    }
+
+    updateMinorBodies(minorBodies) {
+        this.minorBodies = minorBodies || [];
+        // Most of a full MPCORB can never get bright enough to be drawn
+        this.minorBodyCandidates = this.minorBodies.filter(body =>
+            Ephemeris.minorBodyBrightest(body) <= SkyRenderer.minorBodyMagnitudeLimit
+        );
+        this.minorBodyShortlistDay = null;
+        this.minorBodyKey = null;
+        this.minorBodyPositions = [];
+        this.render(this.currentRenderTime);
+    }
+
+    // Comets and asteroids propagated to the rendered time, cached per frame.
+    // Once per simulated day the candidates are checked at midday and only
+    // those within minorBodyShortlistMargin of the limit are propagated
+    // frame by frame.
+    getMinorBodies(currentTime = this.currentRenderTime || new Date()) {
+        const day = Math.floor(currentTime.getTime() / 86400000);
+        if (this.minorBodyShortlistDay !== day) {
+            this.minorBodyShortlistDay = day;
+            const limit = SkyRenderer.minorBodyMagnitudeLimit + SkyRenderer.minorBodyShortlistMargin;
+            const bright = new Set(Ephemeris.minorBodyPositions(this.minorBodyCandidates || [], new Date((day + 0.5) * 86400000))
+                .filter(body => body.magnitude <= limit)
+                .map(body => body.id));
+            this.minorBodyShortlist = (this.minorBodyCandidates || []).filter(body => bright.has(body.id));
+            this.minorBodyKey = null;
+        }
+
+        const key = `${currentTime.getTime()}|${this.location.latitude}|${this.location.longitude}`;
+        if (this.minorBodyKey !== key) {
+            this.minorBodyKey = key;
+            this.minorBodyEphemeris = Ephemeris.minorBodyPositions(this.minorBodyShortlist, currentTime, this.location);
+        }
+        return this.minorBodyEphemeris;
+    }
+
+    // Asteroids as small dots, comets as a fuzzy head with a tail pointing
+    // away from the Sun. Objects fainter than the limit are skipped.
+    drawMinorBodies() {
+        if (!this.ctx2d) return;
+
+        const ctx = this.ctx2d;
+        const bodies = this.getMinorBodies().filter(body => body.magnitude <= SkyRenderer.minorBodyMagnitudeLimit);
+        this.minorBodyPositions = this.transformStarsForProjection(bodies, this.projectionType, this.currentRenderTime);
+        const tails = this.transformStarsForProjection(
+            bodies.map(body => body.tail || body), this.projectionType, this.currentRenderTime
+        );
+
+        ctx.save();
+        this.minorBodyPositions.forEach((body, index) => {
+            body.screenRadius = 0;
+            if (this.isBelowHorizon(body)) return;
+            const pos = this.projectPoint(body);
+            if (!pos) return;
+
+            const [r, g, b] = SkyRenderer.bodyColors[body.type];
+            const color = alpha => `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${alpha})`;
+            const radius = Math.max(1.5, Math.min(4, 2.5 + 0.3 * (8 - body.apparentMagnitude)));
+            body.screenRadius = radius;
+
+            const tail = body.tail && this.projectPoint(tails[index]);
+            if (tail && !this.crossesSeam(body, tails[index])) {
+                // A wedge fanning out from the head, fading towards the end
+                const dx = tail.x - pos.x;
+                const dy = tail.y - pos.y;
+                const length = Math.hypot(dx, dy);
+                if (length > radius) {
+                    const spread = length * 0.15;
+                    const nx = -dy / length;
+                    const ny = dx / length;
+                    const gradient = ctx.createLinearGradient(pos.x, pos.y, tail.x, tail.y);
+                    gradient.addColorStop(0, color(0.6));
+                    gradient.addColorStop(1, color(0));
+                    ctx.fillStyle = gradient;
+                    ctx.beginPath();
+                    ctx.moveTo(pos.x + nx * radius, pos.y + ny * radius);
+                    ctx.lineTo(tail.x + nx * spread, tail.y + ny * spread);
+                    ctx.lineTo(tail.x - nx * spread, tail.y - ny * spread);
+                    ctx.lineTo(pos.x - nx * radius, pos.y - ny * radius);
+                    ctx.closePath();
+                    ctx.fill();
+                }
+            }
+
+            if (body.type === 'comet') {
+                const coma = ctx.createRadialGradient(pos.x, pos.y, 0, pos.x, pos.y, radius * 2);
+                coma.addColorStop(0, color(1));
+                coma.addColorStop(1, color(0));
+                ctx.fillStyle = coma;
+                ctx.beginPath();
+                ctx.arc(pos.x, pos.y, radius * 2, 0, Math.PI * 2);
+                ctx.fill();
+            } else {
+                ctx.fillStyle = color(1);
+                ctx.beginPath();
+                ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+                ctx.fill();
+            }
+
+            if (this.visibility.showLabels) {
+                ctx.font = '11px Arial';
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'middle';
+                ctx.fillStyle = color(0.8);
+                ctx.fillText(body.name, pos.x + radius * 2 + 4, pos.y);
+            }
+        });
+        ctx.restore();
+    }
+
+    static formatArcseconds(arcseconds) {
+        return arcseconds >= 60 ? `${(arcseconds / 60).toFixed(1)}'` : `${arcseconds.toFixed(1)}"`;
+    }
+
+    drawSolarSystem() {
+        if (!this.ctx2d) return;
+
+        const ctx = this.ctx2d;
+        this.solarSystemBodies = this.transformStarsForProjection(
+            this.getSolarSystemBodies(), this.projectionType, this.currentRenderTime
+        );
+
+        ctx.save();
+        this.solarSystemBodies.forEach(body => {
+            body.screenRadius = 0;
+            if (!this.isBodyVisible(body)) return;
+
+            const pos = this.projectPoint(body);
+            if (!pos) return;
+
+            const radius = this.bodyRadius(body, pos);
+            body.screenRadius = radius;
+            const [r, g, b] = SkyRenderer.bodyColors[body.id] || [1, 1, 1];
+            const color = alpha => `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${alpha})`;
+
+            // Glow scaled by brightness, then the disc
+            const glow = radius * (body.type === 'sun' ? 3 : 1.8);
+            const gradient = ctx.createRadialGradient(pos.x, pos.y, radius * 0.5, pos.x, pos.y, glow);
+            gradient.addColorStop(0, color(body.type === 'sun' ? 0.6 : 0.35));
+            gradient.addColorStop(1, color(0));
+            ctx.fillStyle = gradient;
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, glow, 0, Math.PI * 2);
+            ctx.fill();
+
+            if (body.type === 'moon') {
+                this.drawMoonPhase(ctx, body, pos, radius, color);
+            } else {
+                ctx.fillStyle = color(1);
+                ctx.beginPath();
+                ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+                ctx.fill();
+            }
+
+            if (this.visibility.showLabels) {
+                ctx.font = '12px Arial';
+                ctx.textAlign = 'left';
+                ctx.textBaseline = 'middle';
+                ctx.fillStyle = color(0.9);
+                ctx.fillText(body.name, pos.x + radius + 6, pos.y);
+            }
+        });
+        ctx.restore();
+    }
+
+    setPlanetPathOptions(options) {
+        this.planetPathOptions = { ...this.planetPathOptions, ...options };
+        this.render(this.currentRenderTime);
+    }
+
+    // Planet paths around the rendered time, recomputed once per day shown
+    getPlanetPaths(currentTime = this.currentRenderTime || new Date()) {
+        const { days, step } = this.planetPathOptions;
+        const day = Math.round(currentTime.getTime() / 86400000);
+        const key = `${day}|${days}|${step}`;
+        if (this.planetPathKey !== key) {
+            this.planetPathKey = key;
+            this.planetPaths = Ephemeris.planetPaths(new Date(day * 86400000), days, step);
+        }
+        return this.planetPaths;
+    }
+
+    // Each planet's track against the stars, with a tick and date every
+    // tickDays; loops show up wherever the planet goes retrograde
+    drawPlanetPaths() {
+        if (!this.ctx2d) return;
+
+        const ctx = this.ctx2d;
+        const { tickDays } = this.planetPathOptions;
+        const paths = this.getPlanetPaths();
+        const center = Math.round(this.currentRenderTime.getTime() / 86400000);
+        const limit = 10 * (this.canvas.width + this.canvas.height);
+
+        ctx.save();
+        ctx.font = '10px Arial';
+        ctx.lineWidth = 1;
+        Object.entries(paths).forEach(([id, path]) => {
+            const [r, g, b] = SkyRenderer.bodyColors[id] || [1, 1, 1];
+            const color = alpha => `rgba(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)}, ${alpha})`;
+
+            const points = this.transformStarsForProjection(path, this.projectionType, this.currentRenderTime)
+                .map(point => {
+                    const pos = this.isBelowHorizon(point) ? null : this.projectPoint(point);
+                    const usable = pos && isFinite(pos.x) && isFinite(pos.y) && Math.abs(pos.x) + Math.abs(pos.y) < limit;
+                    return { scene: point, pos: usable ? pos : null, date: point.date };
+                });
+
+            ctx.strokeStyle = color(0.6);
+            ctx.beginPath();
+            points.forEach((point, i) => {
+                if (!point.pos) return;
+                const last = points[i - 1];
+                if (last?.pos && !this.crossesSeam(last.scene, point.scene)) {
+                    ctx.lineTo(point.pos.x, point.pos.y);
+                } else {
+                    ctx.moveTo(point.pos.x, point.pos.y);
+                }
+            });
+            ctx.stroke();
+
+            // Ticks across the path, pointing along its local normal
+            ctx.fillStyle = color(0.8);
+            ctx.beginPath();
+            points.forEach((point, i) => {
+                const offset = Math.round(point.date.getTime() / 86400000) - center;
+                if (!point.pos || offset % tickDays !== 0) return;
+                const neighbour = points[i + 1]?.pos || points[i - 1]?.pos;
+                if (!neighbour) return;
+
+                const dx = neighbour.x - point.pos.x;
+                const dy = neighbour.y - point.pos.y;
+                const length = Math.hypot(dx, dy) || 1;
+                const nx = -dy / length;
+                const ny = dx / length;
+                const size = offset === 0 ? 6 : 4;
+                ctx.moveTo(point.pos.x - nx * size, point.pos.y - ny * size);
+                ctx.lineTo(point.pos.x + nx * size, point.pos.y + ny * size);
+
+                if (this.visibility.showLabels && offset !== 0) {
+                    ctx.textAlign = nx >= 0 ? 'left' : 'right';
+                    ctx.textBaseline = 'middle';
+                    ctx.fillText(
+                        point.date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+                        point.pos.x + nx * (size + 3),
+                        point.pos.y + ny * (size + 3)
+                    );
+                }
+            });
+            ctx.strokeStyle = color(0.8);
+            ctx.stroke();
+        });
+        ctx.restore();
+    }
+
+    // Dark disc with the sunlit part on top. The lit side is bounded by the
+    // limb facing the Sun and by the terminator, a half ellipse whose width
+    // follows the cosine of the phase angle.
+    drawMoonPhase(ctx, moon, pos, radius, color) {
+        ctx.fillStyle = 'rgba(40, 40, 45, 0.9)';
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Screen direction of the bright limb, from a point offset that way on the sky
+        const limb = this.transformStarsForProjection(
+            [this.dsoEllipsePoint({ ra: moon.ra, dec: moon.dec, size: 60, positionAngle: moon.brightLimbAngle }, 0)],
+            this.projectionType, this.currentRenderTime
+        ).map(point => this.projectPoint(point))[0];
+        if (!limb) {
+            ctx.fillStyle = color(moon.illumination);
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+            ctx.fill();
+            return;
+        }
+
+        const terminator = Math.cos(moon.phaseAngle * Math.PI / 180);
+        ctx.save();
+        ctx.translate(pos.x, pos.y);
+        ctx.rotate(Math.atan2(limb.y - pos.y, limb.x - pos.x));
+        ctx.fillStyle = color(1);
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, -Math.PI / 2, Math.PI / 2);
+        // Gibbous: the terminator bulges away from the Sun; crescent: towards it
+        ctx.ellipse(0, 0, radius * Math.abs(terminator), radius, 0, Math.PI / 2, -Math.PI / 2, terminator < 0);
+        ctx.fill();
+        ctx.restore();
+    }
+
+    // On-screen disc radius: the real angular size when zoomed in, otherwise
+    // a size that grows with brightness like the stars
+    bodyRadius(body, pos) {
+        const byMagnitude = body.type === 'sun' ? 12 : body.type === 'moon' ? 10 :
+            Math.max(2.5, Math.min(8, 3 + 1.2 * (1 - body.apparentMagnitude)));
+
+        const limb = this.transformStarsForProjection(
+            [this.dsoEllipsePoint({ ra: body.ra, dec: body.dec, size: body.angularDiameter / 60 }, 0)],
+            this.projectionType, this.currentRenderTime
+        ).map(point => this.projectPoint(point))[0];
+        const byAngle = limb ? Math.hypot(limb.x - pos.x, limb.y - pos.y) : 0;
+
+        return Math.max(byMagnitude, byAngle);
+    }
+
     drawDeepSkyObjects() {
         if (!this.deepSkyObjects || !this.ctx2d) return;
         
         const ctx = this.ctx2d;
+
+        // Each category has its own toggle
+        const toggles = { nebulae: 'showNebulae', galaxies: 'showGalaxies', clusters: 'showClusters' };
+        const { limitingMagnitude } = this.getSkyConditions();
         
-        Object.entries(this.deepSkyObjects).forEach(([type, objects]) => {
+        Object.entries(this.deepSkyObjects).forEach(([category, objects]) => {
             if (!Array.isArray(objects)) return;
+            if (toggles[category] && !this.visibility[toggles[category]]) return;
             
-            objects.forEach(obj => {
-                if (!obj || typeof obj.ra === 'undefined' || typeof obj.dec === 'undefined') return;
+            const placed = objects.filter(obj => obj && typeof obj.ra !== 'undefined' && typeof obj.dec !== 'undefined');
+            this.transformStarsForProjection(placed, this.projectionType, this.currentRenderTime).forEach(obj => {
+                if (this.isBelowHorizon(obj)) return;
 
-                const coords = this.equatorialToCartesian(obj.ra, obj.dec);
-                const pos = this.projectPoint(coords);
+                const pos = this.projectPoint(obj);
                 if (!pos) return;
+                if (!obj.color) obj.color = SkyRenderer.dsoColors[obj.type] || [0.8, 0.8, 0.8];
 
-                const size = Math.max(20, (obj.size || 10) * this.zoom);
+                const outline = this.dsoOutline(obj, pos);
+                if (!outline) return;
                 
-                // Different rendering based on object type
+                // Star atlas symbology: galaxies as ellipses, open clusters
+                // dashed, globulars crossed, planetaries with rays, bright
+                // nebulae as squares until they are big enough to show their shape
                 switch(obj.type) {
                     case 'diffuse':
                     case 'planetary':
                     case 'supernova':
-                        this.drawNebula(ctx, pos, size, obj);
+                        this.drawNebula(ctx, pos, outline, obj);
                         break;
                     case 'spiral':
                     case 'galaxy':
-                        this.drawGalaxy(ctx, pos, size, obj);
+                        this.drawGalaxy(ctx, pos, outline, obj);
                         break;
                     case 'globular':
                     case 'open':
-                        this.drawCluster(ctx, pos, size, obj);
+                        this.drawCluster(ctx, pos, outline, obj);
                         break;
                 }
 
-                // Add labels for bright objects
-                if (obj.magnitude < 8) {
+                // Add labels for objects bright enough to find under this sky
+                if (obj.apparentMagnitude < limitingMagnitude + SkyRenderer.dsoLabelMargin) {
                     ctx.fillStyle = 'rgba(200, 200, 255, 0.8)';
                     ctx.font = '12px Arial';
-                    ctx.fillText(`${obj.name} (${obj.type})`, pos.x + size + 5, pos.y);
+                    ctx.fillText(`${obj.name} (${obj.type})`, pos.x + outline.radius + 5, pos.y);
                 }
             });
         });
     }
 
-    drawNebula(ctx, pos, size, obj) {
-        try {
-            // Ensure all values are finite
-            const x = Number(pos.x) || 0;
-            const y = Number(pos.y) || 0;
-            const s = Math.min(Math.max(Number(size) || 20, 10), 1000);
-            const color = obj.color || [0.8, 0.6, 0.9];
+    // Screen outline of a DSO: its catalog ellipse (major/minor axis and
+    // position angle) traced on the sky and projected, or a fixed-size
+    // symbol when that would be smaller than a few pixels. Returns the points
+    // with the on-screen radius, or null when it is out of view.
+    dsoOutline(obj, pos, minRadius = 4) {
+        const symbol = sides => {
+            const points = [];
+            for (let i = 0; i < sides; i++) {
+                const angle = (i / sides + 1 / 8) * Math.PI * 2;
+                points.push({ x: pos.x + minRadius * Math.cos(angle), y: pos.y + minRadius * Math.sin(angle) });
+            }
+            return Object.assign(points, { radius: minRadius, symbol: true });
+        };
+        const symbolSides = obj.type === 'diffuse' || obj.type === 'supernova' ? 4 : 24;
+        if (!obj.size) return symbol(symbolSides);
+
+        // Major axis end first, to see whether the real outline is worth tracing
+        const ends = this.transformStarsForProjection(
+            [this.dsoEllipsePoint(obj, 0)], this.projectionType, this.currentRenderTime
+        ).map(point => this.projectPoint(point));
+        const radius = ends[0] ? Math.hypot(ends[0].x - pos.x, ends[0].y - pos.y) : 0;
+        if (radius < minRadius) return symbol(symbolSides);
+        if (pos.x < -radius || pos.y < -radius ||
+            pos.x > this.canvas.width + radius || pos.y > this.canvas.height + radius) return null;
+
+        const steps = 36;
+        const sky = [];
+        for (let i = 0; i < steps; i++) {
+            sky.push(this.dsoEllipsePoint(obj, i / steps * Math.PI * 2));
+        }
+        const scene = this.transformStarsForProjection(sky, this.projectionType, this.currentRenderTime);
+        const points = scene.map(point => this.projectPoint(point));
+
+        // Outlines split by a projection seam or reaching behind the camera
+        // fall back to the symbol
+        const broken = points.some(point => !point) ||
+            scene.some((point, i) => this.crossesSeam(point, scene[(i + 1) % steps]));
+        if (broken) return symbol(symbolSides);
+
+        return Object.assign(points, {
+            radius: Math.max(...points.map(point => Math.hypot(point.x - pos.x, point.y - pos.y))),
+            symbol: false
+        });
+    }
 
-            // Create complex gradient for nebula
-                const gradient = ctx.createRadialGradient(
-                    x, y, 0,
-                x, y, s
-                );
+    // J2000 RA/Dec of a point on a DSO's ellipse; t = 0 is the end of the major
+    // axis in the direction of the position angle. Without a position angle
+    // the orientation is unknown, so the outline is a circle of the same area.
+    dsoEllipsePoint(obj, t) {
+        const arcmin = Math.PI / (180 * 60);
+        const oriented = obj.positionAngle !== undefined && !isNaN(obj.positionAngle);
+        const minorAxis = obj.minorAxis || obj.size;
+        const a = (oriented ? obj.size : Math.sqrt(obj.size * minorAxis)) / 2 * arcmin;
+        const b = (oriented ? minorAxis : Math.sqrt(obj.size * minorAxis)) / 2 * arcmin;
+        const pa = (oriented ? obj.positionAngle : 0) * Math.PI / 180;
+
+        // Offsets east and north in the tangent plane
+        const east = a * Math.cos(t) * Math.sin(pa) + b * Math.sin(t) * Math.cos(pa);
+        const north = a * Math.cos(t) * Math.cos(pa) - b * Math.sin(t) * Math.sin(pa);
+        const rho = Math.hypot(east, north);
+
+        const raRad = obj.ra * Math.PI / 12;
+        const decRad = obj.dec * Math.PI / 180;
+        const center = Astrometry.toVector(obj.ra, obj.dec);
+        const eastAxis = [-Math.sin(raRad), Math.cos(raRad), 0];
+        const northAxis = [-Math.sin(decRad) * Math.cos(raRad), -Math.sin(decRad) * Math.sin(raRad), Math.cos(decRad)];
+        const scale = rho > 0 ? Math.sin(rho) / rho : 1;
+
+        return Astrometry.fromVector([0, 1, 2].map(i =>
+            center[i] * Math.cos(rho) + (east * eastAxis[i] + north * northAxis[i]) * scale
+        ));
+    }
 
-            // Multiple color stops for more complex appearance
-            gradient.addColorStop(0, `rgba(${color[0]*255}, ${color[1]*255}, ${color[2]*255}, 0.8)`);
-            gradient.addColorStop(0.3, `rgba(${color[0]*255}, ${color[1]*255}, ${color[2]*255}, 0.6)`);
-            gradient.addColorStop(0.7, `rgba(${color[0]*255}, ${color[1]*255}, ${color[2]*255}, 0.3)`);
-            gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    dsoStyle(obj, alpha) {
+        const [r, g, b] = obj.color.map(channel => Math.round(channel * 255));
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
 
-            // Draw main nebula shape
-            ctx.beginPath();
-            ctx.arc(x, y, s, 0, Math.PI * 2);
-            ctx.fillStyle = gradient;
+    traceOutline(ctx, outline) {
+        ctx.beginPath();
+        outline.forEach((point, i) => {
+            if (i === 0) {
+                ctx.moveTo(point.x, point.y);
+            } else {
+                ctx.lineTo(point.x, point.y);
+            }
+        });
+        ctx.closePath();
+    }
+
+    drawNebula(ctx, pos, outline, obj) {
+        ctx.save();
+        ctx.strokeStyle = this.dsoStyle(obj, 0.85);
+        ctx.lineWidth = 1;
+        this.traceOutline(ctx, outline);
+        if (!outline.symbol) {
+            ctx.fillStyle = this.dsoStyle(obj, 0.12);
             ctx.fill();
+        }
+        ctx.stroke();
 
-            // Add internal structure
-            for (let i = 0; i < 5; i++) {
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Math.random() * s * 0.7;
-                const subSize = s * (0.2 + Math.random() * 0.3);
-                    
-                const sx = x + Math.cos(angle) * distance;
-                const sy = y + Math.sin(angle) * distance;
-                    
-                const subGradient = ctx.createRadialGradient(sx, sy, 0, sx, sy, subSize);
-                subGradient.addColorStop(0, `rgba(${color[0]*255}, ${color[1]*255}, ${color[2]*255}, 0.6)`);
-                subGradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
-                    
-                    ctx.beginPath();
-                ctx.arc(sx, sy, subSize, 0, Math.PI * 2);
-                ctx.fillStyle = subGradient;
-                    ctx.fill();
-                }
-        } catch (error) {
-            console.error('Error drawing nebula:', error);
+        // Planetary nebulae get four short rays
+        if (obj.type === 'planetary') {
+            const ray = Math.max(3, outline.radius * 0.5);
+            ctx.beginPath();
+            [0, 1, 2, 3].forEach(i => {
+                const angle = i * Math.PI / 2;
+                const x = Math.cos(angle);
+                const y = Math.sin(angle);
+                ctx.moveTo(pos.x + x * outline.radius, pos.y + y * outline.radius);
+                ctx.lineTo(pos.x + x * (outline.radius + ray), pos.y + y * (outline.radius + ray));
+            });
+            ctx.stroke();
         }
+        ctx.restore();
     }
 
-    drawGalaxy(ctx, pos, size, obj) {
-        // Create spiral galaxy effect
-            const numArms = 4;
-            const rotations = 2;
-            
-            for (let arm = 0; arm < numArms; arm++) {
-                const startAngle = (arm / numArms) * Math.PI * 2;
-                
-                ctx.beginPath();
-            for (let t = 0; t <= 1; t += 0.01) {
-                    const angle = startAngle + t * Math.PI * 2 * rotations;
-                const scale = t * size;
-                const x = pos.x + Math.cos(angle) * scale;
-                const y = pos.y + Math.sin(angle) * scale;
-                    
-                if (t === 0) {
-                    ctx.moveTo(x, y);
-                    } else {
-                    ctx.lineTo(x, y);
-                    }
-                }
-                
-            const gradient = ctx.createLinearGradient(
-                pos.x - size, pos.y - size,
-                pos.x + size, pos.y + size
-                );
-            gradient.addColorStop(0, `rgba(${obj.color[0]*255}, ${obj.color[1]*255}, ${obj.color[2]*255}, 0.8)`);
-            gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
-                
-            ctx.strokeStyle = gradient;
-            ctx.lineWidth = 2;
-                ctx.stroke();
-        }
+    drawGalaxy(ctx, pos, outline, obj) {
+        ctx.save();
+        this.traceOutline(ctx, outline);
+        ctx.fillStyle = this.dsoStyle(obj, 0.2);
+        ctx.fill();
+        ctx.strokeStyle = this.dsoStyle(obj, 0.9);
+        ctx.lineWidth = 1;
+        ctx.stroke();
+        ctx.restore();
     }
 
-    drawCluster(ctx, pos, size, obj) {
-        // Draw multiple stars in a cluster pattern
-        const numStars = obj.type === 'globular' ? 50 : 20;
-        
-        for (let i = 0; i < numStars; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const distance = Math.random() * size * (obj.type === 'globular' ? 0.5 : 0.8);
-            const starSize = 2 + Math.random() * 3;
-            
-            const x = pos.x + Math.cos(angle) * distance;
-            const y = pos.y + Math.sin(angle) * distance;
-            
-            const gradient = ctx.createRadialGradient(x, y, 0, x, y, starSize);
-            gradient.addColorStop(0, `rgba(${obj.color[0]*255}, ${obj.color[1]*255}, ${obj.color[2]*255}, 0.8)`);
-            gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
-            
+    drawCluster(ctx, pos, outline, obj) {
+        ctx.save();
+        ctx.strokeStyle = this.dsoStyle(obj, 0.85);
+        ctx.lineWidth = 1;
+        if (obj.type === 'open') {
+            ctx.setLineDash([3, 3]);
+        }
+        this.traceOutline(ctx, outline);
+        ctx.stroke();
+
+        // Globulars are crossed through the middle along their axes
+        if (obj.type === 'globular') {
+            const quarter = outline.length / 4;
             ctx.beginPath();
-            ctx.arc(x, y, starSize, 0, Math.PI * 2);
-            ctx.fillStyle = gradient;
-            ctx.fill();
+            [0, quarter].forEach(i => {
+                const from = outline[Math.round(i)];
+                const to = outline[Math.round(i + 2 * quarter) % outline.length];
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(to.x, to.y);
+            });
+            ctx.stroke();
         }
+        ctx.restore();
+    }
+
+    setTimeSpeed(timeSpeed) {
+        this.timeSpeed = timeSpeed;
     }
 
     drawMeteorShowers() {
-        if (!this.meteorShowers || !Array.isArray(this.meteorShowers)) return;
-        
         const ctx = this.ctx2d;
-        
-        this.meteorShowers.forEach(shower => {
-            if (!shower || !shower.active || !shower.radiant) return;
-            
-            const pos = this.projectPoint(shower.radiant);
+
+        // Radiants are J2000 { ra (hours), dec } like the stars
+        const showers = this.getMeteorShowers().filter(shower => shower.active && shower.radiant);
+        const radiants = this.transformStarsForProjection(
+            showers.map(shower => shower.radiant), this.projectionType, this.currentRenderTime
+        );
+        const placed = showers.map((shower, i) => ({
+            ...shower,
+            altitude: radiants[i].altitude,
+            azimuth: radiants[i].azimuth
+        }));
+
+        // Meteors run on wall-clock time; a long gap (hidden tab, toggled
+        // off) shouldn't release a burst
+        const now = performance.now();
+        const seconds = this.lastMeteorStep ? Math.min(0.25, (now - this.lastMeteorStep) / 1000) : 0;
+        this.lastMeteorStep = now;
+        // Daylight and light pollution hide the fainter meteors
+        const { limitingMagnitude } = this.getSkyConditions();
+        this.meteors.step(placed, seconds, this.timeSpeed, limitingMagnitude);
+
+        this.meteors.list.forEach(meteor => this.drawMeteor(ctx, meteor, limitingMagnitude));
+
+        showers.forEach((shower, i) => {
+            const radiant = radiants[i];
+            if (this.isBelowHorizon(radiant)) return;
+
+            const pos = this.projectPoint(radiant);
             if (!pos) return;
 
             // Draw radiant point with glow
@@ -843,56 +1782,44 @@ class SkyRenderer {
                 // Draw label
                 ctx.fillStyle = 'rgba(200, 200, 255, 0.8)';
                 ctx.font = '12px Arial';
-                ctx.fillText(`${shower.name} (${shower.zhr}/hr)`, pos.x + 25, pos.y);
-
-                // Draw meteors with trails and particle effects
-                const numMeteors = Math.min(8, shower.zhr / 15);
-                for (let i = 0; i < numMeteors; i++) {
-                    this.drawMeteorWithParticles(ctx, pos, shower);
-                }
+                ctx.fillText(`${shower.name} (${Math.round(shower.zhr)}/hr)`, pos.x + 25, pos.y);
             } catch (error) {
                 console.error('Error drawing meteor shower:', error);
             }
         });
     }
 
-    drawMeteorWithParticles(ctx, radiant, shower) {
-            const angle = Math.random() * Math.PI * 2;
-        const length = 100 + Math.random() * 100;
-            const speed = shower.speed / 30;
-            
-        const endX = radiant.x + Math.cos(angle) * length;
-        const endY = radiant.y + Math.sin(angle) * length;
-            
-            // Draw main meteor trail
-        const gradient = ctx.createLinearGradient(radiant.x, radiant.y, endX, endY);
-        gradient.addColorStop(0, `rgba(${shower.color[0]*255}, ${shower.color[1]*255}, ${shower.color[2]*255}, 0.8)`);
-        gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
-            
-            ctx.beginPath();
-        ctx.moveTo(radiant.x, radiant.y);
-            ctx.lineTo(endX, endY);
+    // One meteor: a streak fading from its head back along the great circle
+    drawMeteor(ctx, meteor, limitingMagnitude) {
+        const { head, tail, intensity, magnitude } = Meteors.trail(meteor, limitingMagnitude);
+        if (intensity <= 0 || head.altitude < 0) return;
+
+        const [headScene, tailScene] = [head, tail].map(point => this.horizontalToScene(point.azimuth, point.altitude));
+        if (this.crossesSeam(headScene, tailScene)) return;
+        const from = this.projectPoint(tailScene);
+        const to = this.projectPoint(headScene);
+        if (!from || !to) return;
+
+        const [r, g, b] = (meteor.color || [1, 1, 1]).map(value => Math.round(value * 255));
+        const gradient = ctx.createLinearGradient(from.x, from.y, to.x, to.y);
+        gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, 0)`);
+        gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, ${intensity})`);
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
         ctx.strokeStyle = gradient;
-        ctx.lineWidth = 2;
-            ctx.stroke();
-            
-        // Add particle effects
-        const numParticles = 10;
-            for (let i = 0; i < numParticles; i++) {
-                const t = i / numParticles;
-            const x = radiant.x + (endX - radiant.x) * t;
-            const y = radiant.y + (endY - radiant.y) * t;
-                
-            const particleGradient = ctx.createRadialGradient(x, y, 0, x, y, 3);
-            particleGradient.addColorStop(0, `rgba(${shower.color[0]*255}, ${shower.color[1]*255}, ${shower.color[2]*255}, ${0.5 * (1-t)})`);
-            particleGradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
-                
-                ctx.beginPath();
-            ctx.arc(x, y, 3, 0, Math.PI * 2);
-                ctx.fillStyle = particleGradient;
+        ctx.lineWidth = Math.max(1, Math.min(4, 2.5 - magnitude * 0.4));
+        ctx.lineCap = 'round';
+        ctx.stroke();
 
-                ctx.fill();
-        }
+        // Bright head
+        ctx.beginPath();
+        ctx.arc(to.x, to.y, ctx.lineWidth * 0.75, 0, Math.PI * 2);
+        ctx.fillStyle = `rgba(255, 255, 255, ${intensity})`;
+        ctx.fill();
+        ctx.restore();
     }
 
     setVisibility(setting, value) {
@@ -941,7 +1868,8 @@ class SkyRenderer {
         
         this.resize();
         
-        // Clear both canvases
+        // Clear both canvases, the sky to its colour for the Sun's altitude
+        this.gl.clearColor(...this.getSkyConditions(currentTime).color, 1.0);
         this.gl.clear(this.gl.COLOR_BUFFER_BIT | this.gl.DEPTH_BUFFER_BIT);
         if (this.ctx2d) {
             this.ctx2d.clearRect(0, 0, this.overlayCanvas.width, this.overlayCanvas.height);
@@ -960,10 +1888,38 @@ class SkyRenderer {
             this.drawGrid(this.projectionType);
         }
 
+        if (this.visibility.showConstellations && this.constellationLines) {
+            this.drawConstellations();
+        }
+
         if (this.visibility.showStars && this.stars) {
             this.drawStars();
         }
 
+        if (this.visibility.showPlanetOrbits) {
+            this.drawPlanetPaths();
+        }
+
+        if (this.visibility.showMinorBodies && this.minorBodies?.length) {
+            this.drawMinorBodies();
+        }
+
+        if (this.visibility.showSun || this.visibility.showMoon || this.visibility.showPlanets) {
+            this.drawSolarSystem();
+        }
+
+        if (this.visibility.showSatellites && this.satellites?.length) {
+            this.drawSatellites();
+        }
+
+        if (this.visibility.showGround) {
+            this.drawGround();
+        }
+
+        if (this.visibility.showConstellationNames && this.constellations) {
+            this.drawConstellationLabels();
+        }
+
         if (this.visibility.showStarNames && this.stars) {
             this.drawStarNames();
         }
@@ -972,7 +1928,7 @@ class SkyRenderer {
             this.drawDeepSkyObjects();
         }
 
-        if (this.visibility.showMeteors && this.meteorShowers) {
+        if (this.visibility.showMeteors && this.meteorShowerCatalog) {
             this.drawMeteorShowers();
         }
 
@@ -982,8 +1938,11 @@ class SkyRenderer {
             const canvasRect = this.canvas.getBoundingClientRect();
 
             this.activeStars.forEach((info, starId) => {
-                // Get the current transformed position of the star
-                const transformedStar = this.transformStarsForProjection([info.star], this.projectionType, currentTime)[0];
+                // Get the current transformed position of the star; bodies
+                // move, so follow this frame's position instead
+                const transformedStar = SkyRenderer.isMovingBody(info.star) ?
+                    this.drawnBodies().find(body => body.id === info.star.id) || info.star :
+                    this.transformStarsForProjection([info.star], this.projectionType, currentTime)[0];
                 const starPos = this.projectPoint(transformedStar);
                 
                 if (starPos) {
@@ -1100,7 +2059,22 @@ class SkyRenderer {
     }
 
     updateMatrices() {
-        if (this.projectionType === 'spherical') {
+        if (this.projectionType === 'spherical' && this.cameraMode === 'horizon') {
+            // Camera at the center of the sphere, zenith up, horizon level
+            const fieldOfView = this.horizonFieldOfView() * Math.PI / 180;
+            const aspect = this.gl.canvas.clientWidth / this.gl.canvas.clientHeight;
+
+            const projectionMatrix = mat4.create();
+            mat4.perspective(projectionMatrix, fieldOfView, aspect, 0.01, 10.0);
+
+            const modelViewMatrix = mat4.create();
+            mat4.rotateX(modelViewMatrix, modelViewMatrix, -this.view.altitude * Math.PI / 180);
+            mat4.rotateY(modelViewMatrix, modelViewMatrix, this.view.azimuth * Math.PI / 180);
+            mat4.multiply(modelViewMatrix, modelViewMatrix, this.horizonMatrix());
+
+            this.modelViewMatrix = modelViewMatrix;
+            this.projectionMatrix = projectionMatrix;
+        } else if (this.projectionType === 'spherical') {
             // 3D projection matrix for spherical view
             const fieldOfView = 60 * Math.PI / 180;
             const aspect = this.gl.canvas.clientWidth / this.gl.canvas.clientHeight;
@@ -1142,13 +2116,7 @@ class SkyRenderer {
             mat4.scale(modelViewMatrix, modelViewMatrix, [this.scale, this.scale, 1]);
             
             // Apply pan
-            if (this.projectionType !== 'mercator') {
-                // For non-Mercator projections, apply pan normally
             mat4.translate(modelViewMatrix, modelViewMatrix, [this.pan.x / this.scale, this.pan.y / this.scale, 0]);
-            } else {
-                // For Mercator, only apply vertical pan
-                mat4.translate(modelViewMatrix, modelViewMatrix, [0, this.pan.y / this.scale, 0]);
-            }
 
             this.modelViewMatrix = modelViewMatrix;
             this.projectionMatrix = projectionMatrix;
@@ -1163,6 +2131,7 @@ class SkyRenderer {
         
         const ctx = this.ctx2d;
         ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        const frame = this.getSkyFrame();
         
         // Transform grid lines based on projection type
         this.gridLines.forEach(line => {
@@ -1171,112 +2140,17 @@ class SkyRenderer {
             if (line.type === 'galactic' && !this.visibility.showGalactic) return;
             if (line.type === 'azimuthal' && !this.visibility.showAzimuthal) return;
             if (line.type === 'ecliptic' && !this.visibility.showEcliptic) return;
+            if (line.type === 'boundary' && !this.visibility.showBoundaries) return;
 
             ctx.beginPath();
             ctx.strokeStyle = line.color;
             ctx.lineWidth = 1;
-            
-            let first = true;
-            let lastPos = null;
-            let lastPoint = null;
-            
-            line.points.forEach((point, index) => {
-                // Transform point based on projection type and coordinate system
-                let transformedPoint;
-                
-                if (type !== 'spherical') {
-                    // Convert to equatorial coordinates first if needed
-                    let eqCoords;
-                    if (line.type === 'galactic' && 'l' in point && 'b' in point) {
-                        eqCoords = this.galacticToCartesian(point.l, point.b);
-                    } else {
-                        eqCoords = this.equatorialToCartesian(point.ra, point.dec);
-                    }
-                    
-                    // Then apply the projection
-                    switch(type) {
-                        case 'stereographic':
-                            transformedPoint = this.equatorialToStereographic(
-                                Math.atan2(eqCoords.y, eqCoords.x) * 12 / Math.PI,
-                                Math.asin(eqCoords.z) * 180 / Math.PI
-                            );
-                            break;
-                        case 'mercator':
-                            transformedPoint = this.equatorialToMercator(
-                                Math.atan2(eqCoords.y, eqCoords.x) * 12 / Math.PI,
-                                Math.asin(eqCoords.z) * 180 / Math.PI
-                            );
-                            break;
-                        case 'hammer':
-                            transformedPoint = this.equatorialToHammer(
-                                Math.atan2(eqCoords.y, eqCoords.x) * 12 / Math.PI,
-                                Math.asin(eqCoords.z) * 180 / Math.PI
-                            );
-                            break;
-                    }
-                } else {
-                    transformedPoint = point;
-                }
-                
-                // Project point to screen space
-                const pos = this.projectPoint(transformedPoint);
-                if (pos) {
-                    if (first) {
-                        ctx.moveTo(pos.x, pos.y);
-                        first = false;
-                    } else {
-                        // Check for line segment culling conditions
-                        let shouldDraw = true;
-                        
-                        if (lastPos) {
-                            const dx = pos.x - lastPos.x;
-                            const dy = pos.y - lastPos.y;
-                            const distance = Math.sqrt(dx * dx + dy * dy);
-                            const canvasWidth = this.canvas.width;
-                            const canvasHeight = this.canvas.height;
-                            
-                            if (type === 'hammer') {
-                                // Calculate normalized coordinates (-1 to 1)
-                                const nx1 = (lastPos.x / canvasWidth) * 2 - 1;
-                                const nx2 = (pos.x / canvasWidth) * 2 - 1;
-                                const ny1 = (lastPos.y / canvasHeight) * 2 - 1;
-                                const ny2 = (pos.y / canvasHeight) * 2 - 1;
-                                
-                                // Calculate distance from center for both points
-                                const r1 = Math.sqrt(nx1 * nx1 + ny1 * ny1);
-                                const r2 = Math.sqrt(nx2 * nx2 + ny2 * ny2);
-                                
-                                // Don't draw if:
-                                // 1. Either point is outside the valid projection area
-                                // 2. Line segment is too long (indicates wrapping)
-                                // 3. Points are on opposite sides of the projection
-                                const edgeThreshold = 1.15; // Increased from 0.95 to allow lines closer to edge
-                                if (r1 > edgeThreshold || r2 > edgeThreshold || 
-                                    distance > canvasWidth * 0.4 || // Increased from 0.3 to allow longer lines
-                                    (nx1 * nx2 < 0 && Math.abs(dx) > canvasWidth * 0.4)) {
-                                    shouldDraw = false;
-                                }
-                            } else if (type === 'mercator') {
-                                // For Mercator, check horizontal wrapping
-                                if (Math.abs(dx) > canvasWidth * 0.8) {
-                                    shouldDraw = false;
-                                }
-                            }
-                        }
-                        
-                        if (shouldDraw) {
-                        ctx.lineTo(pos.x, pos.y);
-                        } else {
-                            ctx.stroke();
-                            ctx.beginPath();
-                            ctx.moveTo(pos.x, pos.y);
-                    }
-                    }
-                    lastPos = pos;
-                    lastPoint = point;
-                }
-            });
-            
+
+            // Bring the grid points to the frame of date, then rotate and project like the stars
+            this.traceScenePath(ctx, line.points.map(point => {
+                const { ra, dec } = this.gridPointToDate(line.type, point, frame);
+                return this.equatorialToScene(ra, dec, frame.lst, type);
+            }));
             ctx.stroke();
 
             // Draw special points for ecliptic
@@ -1300,32 +2174,9 @@ class SkyRenderer {
                 ];
 
                 specialPoints.forEach(point => {
-                    const lonRad = point.lon * Math.PI / 180;
-                    const sinDec = Math.sin(23.4367 * Math.PI / 180) * Math.sin(lonRad);
-                    const dec = Math.asin(sinDec);
-                    const ra = Math.atan2(
-                        Math.cos(23.4367 * Math.PI / 180) * Math.sin(lonRad),
-                        Math.cos(lonRad)
-                    );
-                    
-                    const raHours = ((ra * 12 / Math.PI) + 24) % 24;
-                    const decDeg = dec * 180 / Math.PI;
-                    
-                    let coords = this.equatorialToCartesian(raHours, decDeg);
-                    
-                    if (type !== 'spherical') {
-                        switch(type) {
-                            case 'stereographic':
-                                coords = this.equatorialToStereographic(raHours, decDeg);
-                                break;
-                            case 'mercator':
-                                coords = this.equatorialToMercator(raHours, decDeg);
-                                break;
-                            case 'hammer':
-                                coords = this.equatorialToHammer(raHours, decDeg);
-                                break;
-                        }
-                    }
+                    // Ecliptic of date, using the true obliquity
+                    const { ra, dec } = Astrometry.eclipticToEquatorial(point.lon, 0, frame.obliquity);
+                    const coords = this.equatorialToScene(ra, dec, frame.lst, type);
                     
                     const pos = this.projectPoint(coords);
                     if (pos) {
@@ -1365,6 +2216,9 @@ class SkyRenderer {
     }
 
     projectPoint(point) {
+        // Directions the projection can't show have no scene position
+        if (!isFinite(point.x) || !isFinite(point.y)) return null;
+
         // Create point matrix
         const pos = vec4.fromValues(point.x, point.y, point.z, 1.0);
         
@@ -1380,121 +2234,142 @@ class SkyRenderer {
         return { x, y };
     }
 
-    transformStarsForProjection(stars, type, currentTime = new Date()) {
-        if (!stars || stars.length === 0) return [];
+    // Screen position (canvas pixels) back to the sky: J2000 RA (hours) / Dec
+    // and the observed altitude/azimuth, or null off the projection
+    screenToSky(screenX, screenY) {
+        if (!this.currentModelView || !this.currentProjection) return null;
+
+        const inverse = mat4.create();
+        mat4.multiply(inverse, this.currentProjection, this.currentModelView);
+        if (!mat4.invert(inverse, inverse)) return null;
+
+        const ndcX = screenX / this.gl.canvas.width * 2 - 1;
+        const ndcY = 1 - screenY / this.gl.canvas.height * 2;
+        const unproject = depth => {
+            const v = vec4.fromValues(ndcX, ndcY, depth, 1);
+            vec4.transformMat4(v, v, inverse);
+            return [v[0] / v[3], v[1] / v[3], v[2] / v[3]];
+        };
 
-        // Calculate Earth's rotation based on UTC time
-        const utcHours = currentTime.getUTCHours();
-        const utcMinutes = currentTime.getUTCMinutes();
-        const utcSeconds = currentTime.getUTCSeconds();
-        const utcMillis = currentTime.getUTCMilliseconds();
-        
-        // Convert time to decimal hours
-        const totalHours = utcHours + (utcMinutes / 60) + (utcSeconds / 3600) + (utcMillis / 3600000);
-        
-        // Calculate local sidereal time
-        const lst = (totalHours * 15 + this.location.longitude); // in degrees
-        
-        return stars.map(star => {
-            // Convert star's RA from hours to degrees and apply sidereal time rotation
-            const starRA = (star.ra * 15 - lst + 360) % 360; // Convert RA to degrees and apply rotation
-            const starDec = star.dec;
-            
-            // Then apply projection
-            let coords;
-            switch(type) {
-                case 'stereographic':
-                    coords = this.equatorialToStereographic(starRA / 15, starDec); // Convert back to hours for existing function
-                    break;
-                case 'mercator':
-                    coords = this.equatorialToMercator(starRA / 15, starDec);
-                    break;
-                case 'hammer':
-                    coords = this.equatorialToHammer(starRA / 15, starDec);
-                    break;
-                default:
-                    // For spherical projection, calculate 3D coordinates
-                    const raRad = starRA * Math.PI / 180; // Use rotated RA in radians
-                    const decRad = starDec * Math.PI / 180;
-                    coords = {
-                        x: Math.cos(decRad) * Math.cos(raRad),
-                        y: Math.cos(decRad) * Math.sin(raRad),
-                        z: Math.sin(decRad)
-                    };
-            }
-            return { ...star, ...coords };
-        });
+        let scene;
+        if (!Projections.get(this.projectionType).flat) {
+            // Nearest point where the view ray meets the unit sphere
+            const near = unproject(-1);
+            const far = unproject(1);
+            const dir = [0, 1, 2].map(i => far[i] - near[i]);
+            const a = dir[0] ** 2 + dir[1] ** 2 + dir[2] ** 2;
+            const b = 2 * (near[0] * dir[0] + near[1] * dir[1] + near[2] * dir[2]);
+            const c = near[0] ** 2 + near[1] ** 2 + near[2] ** 2 - 1;
+            const discriminant = b * b - 4 * a * c;
+            if (discriminant < 0) return null;
+            const roots = [(-b - Math.sqrt(discriminant)) / (2 * a), (-b + Math.sqrt(discriminant)) / (2 * a)];
+            const t = roots.find(root => root > 0);
+            if (t === undefined) return null;
+            scene = [0, 1, 2].map(i => near[i] + t * dir[i]);
+        } else {
+            scene = unproject(0);
+        }
+
+        const local = this.sceneToEquatorial(scene[0], scene[1], scene[2]);
+        if (!local) return null;
+
+        // Scene longitude is RA measured from the meridian; the position is the
+        // observed one, so take the refraction back out before going to J2000
+        const frame = this.getSkyFrame();
+        const latitude = this.location.latitude;
+        const observedRa = AstroTime.normalizeDegrees(local.ra + frame.lst) / 15;
+        const { altitude, azimuth } = Astrometry.equatorialToHorizontal(observedRa, local.dec, frame.lst, latitude);
+        const trueAltitude = altitude - Atmosphere.refraction(altitude - Atmosphere.refraction(altitude, this.location), this.location);
+        const apparent = Astrometry.horizontalToEquatorial(trueAltitude, azimuth, frame.lst, latitude);
+        const j2000 = Astrometry.dateToJ2000(apparent.ra, apparent.dec, frame.precession);
+
+        return { ra: j2000.ra, dec: j2000.dec, altitude, azimuth };
     }
 
-    equatorialToStereographic(ra, dec) {
-        // Stereographic projection
-        const raRad = (ra * 15) * Math.PI / 180;  // Convert hours to degrees, then to radians
-        const decRad = dec * Math.PI / 180;
-        
-        // Calculate x and y using stereographic projection formulas
-        const cosDec = Math.cos(decRad);
-        const k = 2.0 / (1.0 + cosDec * Math.cos(raRad));
-        
+    // Inverse of equatorialToScene for the current projection: RA from the
+    // meridian (degrees) and Dec, or null outside the projected sky
+    sceneToEquatorial(x, y, z) {
+        const projection = Projections.get(this.projectionType);
+        const direction = projection.inverse(x, y, z);
+        if (!direction) return null;
+        const rotation = projection.seam ? this.mapRotation : 0;
         return {
-            x: k * cosDec * Math.sin(raRad),
-            y: k * Math.sin(decRad),
-            z: 0
+            ra: (direction.lambda - rotation) * 180 / Math.PI,
+            dec: direction.phi * 180 / Math.PI
         };
     }
 
-    equatorialToMercator(ra, dec) {
-        // Handle wrapping for Mercator projection
-        let normalizedRA = ra * 15; // Convert hours to degrees
-        
-        // For Mercator, apply the pan.x offset before normalization
-        if (this.projectionType === 'mercator') {
-            normalizedRA = normalizedRA - (this.pan.x * 180 / Math.PI);
-        }
-        
-        // Normalize to [0, 360] range
-        normalizedRA = ((normalizedRA % 360) + 360) % 360;
+    transformStarsForProjection(stars, type, currentTime = new Date()) {
+        if (!stars || stars.length === 0) return [];
+
+        // Catalog positions are J2000; move stars along their space motion to the
+        // displayed date, then bring them to the equator and equinox of date
+        const frame = this.getSkyFrame(currentTime);
+        const latitude = this.location.latitude;
         
-        // Convert to radians and shift to [-180, 180] range
-        const raRad = (normalizedRA - 180) * Math.PI / 180;
-        const decRad = Math.max(Math.min(dec * Math.PI / 180, 1.4835), -1.4835); // Limit to ~85 degrees
+        return stars.map(star => {
+            const position = Astrometry.hasSpaceMotion(star) ?
+                Astrometry.propagateSpaceMotion(star, frame.years) : star;
+            const apparent = Astrometry.j2000ToDate(position.ra, position.dec, frame.precession);
 
-        return {
-            x: raRad,
-            y: Math.log(Math.tan(Math.PI/4 + decRad/2)),
-            z: 0
-        };
+            // Where the observer sees it: lifted by refraction, dimmed by the airmass
+            const { altitude: trueAltitude, azimuth } = Astrometry.equatorialToHorizontal(apparent.ra, apparent.dec, frame.lst, latitude);
+            const refraction = Atmosphere.refraction(trueAltitude, this.location);
+            const altitude = trueAltitude + refraction;
+            const observed = refraction ?
+                Astrometry.horizontalToEquatorial(altitude, azimuth, frame.lst, latitude) : apparent;
+
+            return {
+                ...star,
+                apparentRa: apparent.ra,
+                apparentDec: apparent.dec,
+                apparentMagnitude: position.magnitude + Atmosphere.extinction(altitude, this.location),
+                altitude,
+                azimuth,
+                ...this.equatorialToScene(observed.ra, observed.dec, frame.lst, type)
+            };
+        });
     }
 
-    equatorialToHammer(ra, dec) {
-        // Normalize RA to handle wrapping
-        let normalizedRA = ra * 15; // Convert hours to degrees
-        while (normalizedRA > 360) normalizedRA -= 360;
-        while (normalizedRA < 0) normalizedRA += 360;
-        
-        // Apply rotation around polar axis for Hammer projection
-        if (this.projectionType === 'hammer' && this.hammerRotation !== 0) {
-            normalizedRA = (normalizedRA + (this.hammerRotation * 180 / Math.PI)) % 360;
+    // Time-dependent quantities shared by everything drawn for one instant
+    getSkyFrame(currentTime = this.currentRenderTime || new Date()) {
+        const time = currentTime.getTime();
+        if (this.skyFrame && this.skyFrame.time === time && this.skyFrame.longitude === this.location.longitude) {
+            return this.skyFrame;
         }
-        
-        // Convert to radians, centered on 0
-        const raRad = ((normalizedRA + 180) % 360 - 180) * Math.PI / 180;
-        const decRad = dec * Math.PI / 180;
-        
-        const alphaPrime = raRad / 2;
-        const cosAlpha = Math.cos(alphaPrime);
-        const cosDec = Math.cos(decRad);
-        const sinDec = Math.sin(decRad);
-        
-        // Calculate denominator first to avoid division by zero
-        const denom = Math.sqrt(1 + cosDec * cosAlpha);
-        if (denom === 0) return { x: 0, y: 0, z: 0 };
-        
-        // Apply Hammer-Aitoff projection formulas
-        return {
-            x: 2 * Math.sqrt(2) * cosDec * Math.sin(alphaPrime) / denom,
-            y: Math.sqrt(2) * sinDec / denom,
-            z: 0
+
+        const nutation = AstroTime.nutation(currentTime);
+        this.skyFrame = {
+            time,
+            date: currentTime,
+            longitude: this.location.longitude,
+            // Julian years since the J2000 catalog epoch
+            years: AstroTime.julianCenturies(currentTime) * 100,
+            // Local apparent sidereal time from the full date (degrees)
+            lst: AstroTime.localSiderealTime(currentTime, this.location.longitude),
+            // J2000 -> true equator and equinox of date
+            precession: Astrometry.precessionNutationMatrix(currentTime),
+            obliquity: Astrometry.meanObliquity(currentTime) + nutation.obliquity
         };
+        // B1875 (constellation boundaries) -> true equator and equinox of date
+        this.skyFrame.fromB1875 = Astrometry.multiply(
+            this.skyFrame.precession,
+            Astrometry.transpose(Constellations.toB1875)
+        );
+        return this.skyFrame;
+    }
+
+    // Rotates catalog RA/Dec into the sky frame for the given sidereal time
+    // (RA measured from the local meridian) and applies the projection.
+    // Directions the projection can't show come back as NaN.
+    equatorialToScene(ra, dec, lst, type = this.projectionType) {
+        const projection = Projections.get(type);
+        const rotation = projection.seam ? this.mapRotation * 180 / Math.PI : 0;
+        // Convert RA from hours to degrees, apply sidereal time rotation and
+        // wrap to -180..180 around the center of the map
+        const longitude = AstroTime.normalizeDegrees(ra * 15 - lst + rotation + 180) - 180;
+        return projection.forward(longitude * Math.PI / 180, dec * Math.PI / 180) ||
+            { x: NaN, y: NaN, z: NaN };
     }
 
     initGrid() {
@@ -1578,7 +2453,8 @@ class SkyRenderer {
             eclipticPoints.push({
                 ...coords,
                 ra: raHours,
-                dec: decDeg
+                dec: decDeg,
+                lon: lon
             });
         }
         
@@ -1640,6 +2516,55 @@ class SkyRenderer {
             color: 'rgba(255, 100, 100, 0.5)',
             type: 'galactic'
         });
+
+        // IAU constellation boundaries, kept in B1875 and precessed when drawn.
+        // Neighbours share edges, so each edge is added once.
+        const boundaryEdges = new Set();
+        (this.constellations?.list || []).forEach(constellation => {
+            constellation.boundaries.forEach(({ vertices }) => {
+                vertices.forEach((from, i) => {
+                    const to = vertices[(i + 1) % vertices.length];
+                    const key = [from.join(), to.join()].sort().join(';');
+                    if (boundaryEdges.has(key)) return;
+                    boundaryEdges.add(key);
+
+                    // Parallels are small circles, so break them up every 2°
+                    const raSpan = ((to[0] - from[0] + 36) % 24) - 12;
+                    const steps = Math.max(1, Math.ceil(Math.max(Math.abs(raSpan) * 15, Math.abs(to[1] - from[1])) / 2));
+                    const points = [];
+                    for (let step = 0; step <= steps; step++) {
+                        points.push({
+                            ra: from[0] + raSpan * step / steps,
+                            dec: from[1] + (to[1] - from[1]) * step / steps
+                        });
+                    }
+                    this.gridLines.push({
+                        points,
+                        color: 'rgba(120, 120, 90, 0.35)',
+                        type: 'boundary'
+                    });
+                });
+            });
+        });
+    }
+
+    // Grid points are stored in their native system; returns RA/Dec of date
+    gridPointToDate(lineType, point, frame) {
+        switch (lineType) {
+            case 'galactic': {
+                // Galactic pole is defined in J2000, so precess it to date
+                const { x, y, z } = this.galacticToCartesian(point.l, point.b);
+                const j2000 = Astrometry.fromVector([x, y, z]);
+                return Astrometry.j2000ToDate(j2000.ra, j2000.dec, frame.precession);
+            }
+            case 'ecliptic':
+                return Astrometry.eclipticToEquatorial(point.lon, 0, frame.obliquity);
+            case 'boundary':
+                return Astrometry.fromVector(Astrometry.applyMatrix(frame.fromB1875, Astrometry.toVector(point.ra, point.dec)));
+            default:
+                // The equatorial grid is the coordinate system of date itself
+                return { ra: point.ra, dec: point.dec };
+        }
     }
 
     galacticToCartesian(l, b) {
@@ -1837,11 +2762,13 @@ class SkyRenderer {
         const transformedStars = this.transformStarsForProjection(this.stars, this.projectionType, this.currentRenderTime);
         
         transformedStars.forEach(star => {
-            if (star.magnitude < 3) { // Only show names for bright stars
+            if (this.isBelowHorizon(star)) return;
+            // Only show names for bright stars, and not once daylight hides them
+            if (star.apparentMagnitude < Math.min(3, this.getSkyConditions().limitingMagnitude)) {
                 const pos = this.projectPoint(star);
                 if (pos && star.commonName) { // Only proceed if star has a common name
                     // Calculate star size based on magnitude
-                    const size = Math.max(3, Math.min(10, Math.pow(2.0, (6.0 - star.magnitude)) * 2.0));
+                    const size = Math.max(3, Math.min(10, Math.pow(2.0, (6.0 - star.apparentMagnitude)) * 2.0));
                     
                     // Calculate label position
                     const labelDistance = size + 5;
@@ -1906,7 +2833,7 @@ class SkyRenderer {
         // Create search input
         const searchInput = document.createElement('input');
         searchInput.type = 'text';
-        searchInput.placeholder = 'Search star by name or ID...';
+        searchInput.placeholder = 'Search by name or ID...';
         searchInput.style.backgroundColor = '#222';
         searchInput.style.color = '#fff';
         searchInput.style.border = '1px solid #444';
@@ -1997,9 +2924,13 @@ class SkyRenderer {
     }
 
     findStar(query) {
-        if (!this.stars) return null;
+        // Solar system bodies on screen: exact names first, partial ones after the stars
+        const bodies = this.drawnBodies().filter(body => this.isBodyVisible(body));
+        const body = bodies.find(body => body.name.toLowerCase() === query) ||
+            this.locateMinorBody(body => body.name.toLowerCase() === query);
+        if (body) return body;
 
-        return this.stars.find(star => {
+        const star = this.stars?.find(star => {
             const commonName = star.commonName?.toLowerCase() || '';
             const name = star.name?.toLowerCase() || '';
             const id = star.id?.toLowerCase() || '';
@@ -2008,6 +2939,19 @@ class SkyRenderer {
                    name.includes(query) || 
                    id.includes(query);
         });
+        return star ||
+            bodies.find(body => body.name.toLowerCase().includes(query)) ||
+            this.locateMinorBody(body => body.name.toLowerCase().includes(query)) ||
+            null;
+    }
+
+    // A comet or asteroid from the whole imported element set, placed for the
+    // rendered time on demand, so search also finds the ones below the
+    // horizon, too faint to be drawn or with their layer switched off
+    locateMinorBody(matches) {
+        const orbit = this.minorBodies?.find(matches);
+        if (!orbit) return null;
+        return Ephemeris.minorBodyPositions([orbit], this.currentRenderTime || new Date(), this.location)[0] || null;
     }
 
     navigateToStar(star) {
@@ -2024,10 +2968,20 @@ class SkyRenderer {
         const startScale = this.scale;
         const startPanX = this.pan.x;
         const startPanY = this.pan.y;
+        const startView = { ...this.view };
 
         // Calculate target values
         let targetRotX, targetRotY, targetPanX, targetPanY;
-        if (this.projectionType === 'spherical') {
+        let targetView = startView;
+        const horizonCamera = this.projectionType === 'spherical' && this.cameraMode === 'horizon';
+        if (horizonCamera) {
+            // Turn towards the star's current alt/az, the short way round
+            const { altitude, azimuth } = this.transformStarsForProjection([star], this.projectionType, this.currentRenderTime)[0];
+            targetView = {
+                azimuth: startView.azimuth + ((azimuth - startView.azimuth + 540) % 360 - 180),
+                altitude
+            };
+        } else if (this.projectionType === 'spherical') {
             targetRotX = -decRad;
             targetRotY = -raRad;
             targetPanX = 0;
@@ -2035,14 +2989,10 @@ class SkyRenderer {
         } else {
             targetRotX = this.rotation.x;
             targetRotY = this.rotation.y;
-            const coords = this.equatorialToCartesian(star.ra, star.dec);
-            const pos = this.projectPoint(coords);
-            if (pos) {
-                const canvasWidth = this.canvas.width;
-                const canvasHeight = this.canvas.height;
-                targetPanX = -(pos.x - canvasWidth/2) / (this.scale * canvasWidth) * 4;
-                targetPanY = (pos.y - canvasHeight/2) / (this.scale * canvasHeight) * 4;
-            }
+            // Pan the star's map position to the center at the final scale
+            const coords = this.transformStarsForProjection([star], this.projectionType, this.currentRenderTime)[0];
+            targetPanX = isFinite(coords.x) ? -coords.x : startPanX;
+            targetPanY = isFinite(coords.y) ? -coords.y : startPanY;
         }
 
         // Animation parameters
@@ -2058,7 +3008,10 @@ class SkyRenderer {
             const easing = 1 - Math.pow(1 - progress, 3);
 
             // Update rotation and zoom
-            if (this.projectionType === 'spherical') {
+            if (horizonCamera) {
+                this.view.azimuth = AstroTime.normalizeDegrees(startView.azimuth + (targetView.azimuth - startView.azimuth) * easing);
+                this.view.altitude = startView.altitude + (targetView.altitude - startView.altitude) * easing;
+            } else if (this.projectionType === 'spherical') {
                 this.rotation.x = startRotX + (targetRotX - startRotX) * easing;
                 this.rotation.y = startRotY + (targetRotY - startRotY) * easing;
             } else {
@@ -2206,6 +3159,37 @@ class SkyRenderer {
 
         const latInput = createInput('Latitude', this.location.latitude, -90, 90);
         const lonInput = createInput('Longitude', this.location.longitude, -180, 180);
+        const temperatureInput = createInput('Temp (°C)', this.location.temperature, -60, 60);
+        const pressureInput = createInput('Pressure (hPa)', this.location.pressure, 0, 1100);
+        const limitInput = createInput('Limit (mag)', this.location.limitingMagnitude, 1, 8);
+
+        // Sky quality: a Bortle class fills in its limiting magnitude, typing
+        // a magnitude switches the class to custom
+        const bortleSelect = document.createElement('select');
+        bortleSelect.style.flex = '1';
+        bortleSelect.style.padding = '5px';
+        bortleSelect.style.backgroundColor = '#333';
+        bortleSelect.style.color = '#fff';
+        bortleSelect.style.border = '1px solid #444';
+        bortleSelect.style.borderRadius = '3px';
+        [['', 'Custom'], ...Atmosphere.bortleLimits.map((limit, i) => [i + 1, `Bortle ${i + 1} (${limit.toFixed(1)})`])]
+            .forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                option.selected = value === (this.location.bortle || '');
+                bortleSelect.appendChild(option);
+            });
+        const bortleContainer = document.createElement('div');
+        bortleContainer.style.display = 'flex';
+        bortleContainer.style.alignItems = 'center';
+        bortleContainer.style.gap = '10px';
+        const bortleLabel = document.createElement('label');
+        bortleLabel.textContent = 'Sky';
+        bortleLabel.style.color = '#fff';
+        bortleLabel.style.minWidth = '70px';
+        bortleContainer.appendChild(bortleLabel);
+        bortleContainer.appendChild(bortleSelect);
 
         // Add event listeners
         citySelect.addEventListener('change', (e) => {
@@ -2234,10 +3218,43 @@ class SkyRenderer {
         latInput.input.addEventListener('change', updateCoords);
         lonInput.input.addEventListener('change', updateCoords);
 
+        // Weather only changes refraction and extinction
+        const updateAtmosphere = () => {
+            const temperature = parseFloat(temperatureInput.input.value);
+            const pressure = parseFloat(pressureInput.input.value);
+            if (!isNaN(temperature) && !isNaN(pressure)) {
+                this.location.temperature = Math.max(-60, Math.min(60, temperature));
+                this.location.pressure = Math.max(0, Math.min(1100, pressure));
+                this.render();
+            }
+        };
+
+        temperatureInput.input.addEventListener('change', updateAtmosphere);
+        pressureInput.input.addEventListener('change', updateAtmosphere);
+
+        bortleSelect.addEventListener('change', () => {
+            const bortle = parseInt(bortleSelect.value);
+            if (isNaN(bortle)) return;
+            this.setSkyQuality({ bortle });
+            limitInput.input.value = this.location.limitingMagnitude;
+        });
+
+        limitInput.input.addEventListener('change', () => {
+            const limitingMagnitude = parseFloat(limitInput.input.value);
+            if (isNaN(limitingMagnitude)) return;
+            this.setSkyQuality({ limitingMagnitude });
+            limitInput.input.value = this.location.limitingMagnitude;
+            bortleSelect.value = '';
+        });
+
         // Add elements to container
         locationContainer.appendChild(citySelect);
         locationContainer.appendChild(latInput.container);
         locationContainer.appendChild(lonInput.container);
+        locationContainer.appendChild(temperatureInput.container);
+        locationContainer.appendChild(pressureInput.container);
+        locationContainer.appendChild(bortleContainer);
+        locationContainer.appendChild(limitInput.container);
 
         // Make draggable
         let isDragging = false;
@@ -2269,6 +3286,60 @@ class SkyRenderer {
         return locationContainer;
     }
 
+    // Light pollution at the observer: either { bortle } (1-9) or an explicit
+    // naked-eye { limitingMagnitude }. Stored with the location.
+    setSkyQuality({ bortle = null, limitingMagnitude } = {}) {
+        if (bortle) {
+            this.location.bortle = Math.max(1, Math.min(9, Math.round(bortle)));
+            this.location.limitingMagnitude = Atmosphere.bortleLimits[this.location.bortle - 1];
+        } else if (limitingMagnitude !== undefined) {
+            this.location.bortle = null;
+            this.location.limitingMagnitude = Math.max(1, Math.min(8, limitingMagnitude));
+        }
+        this.render(this.currentRenderTime);
+    }
+
+    createCursorReadout() {
+        const readout = document.createElement('div');
+        readout.id = 'cursor-readout';
+        readout.style.position = 'absolute';
+        readout.style.left = '10px';
+        readout.style.bottom = '10px';
+        readout.style.color = 'rgba(255, 255, 255, 0.7)';
+        readout.style.fontSize = '12px';
+        readout.style.fontFamily = 'monospace';
+        readout.style.pointerEvents = 'none';
+        readout.style.zIndex = '999';
+        readout.style.whiteSpace = 'pre';
+        document.body.appendChild(readout);
+        this.cursorReadout = readout;
+        return readout;
+    }
+
+    updateCursorReadout(screenX, screenY) {
+        if (!this.cursorReadout) return;
+        const sky = this.screenToSky(screenX, screenY);
+        if (!sky) {
+            this.cursorReadout.textContent = '';
+            return;
+        }
+
+        const sexagesimal = (value, unit) => {
+            const sign = value < 0 ? '-' : '';
+            const total = Math.round(Math.abs(value) * 60);
+            return `${sign}${Math.floor(total / 60)}${unit} ${String(total % 60).padStart(2, '0')}'`;
+        };
+        const tenths = Math.round(sky.ra * 600) % 14400;
+        const hours = Math.floor(tenths / 600);
+        const minutes = (tenths % 600 / 10).toFixed(1).padStart(4, '0');
+        const constellation = this.constellations?.find(sky.ra, sky.dec);
+
+        this.cursorReadout.textContent =
+            `RA ${hours}h ${minutes}m  Dec ${sexagesimal(sky.dec, '°')}  (J2000)\n` +
+            `Alt ${sky.altitude.toFixed(1)}°  Az ${sky.azimuth.toFixed(1)}°` +
+            (constellation ? `  ${constellation.name}` : '');
+    }
+
     calculateNormalVector() {
         // Convert latitude and longitude to radians
         const latRad = this.location.latitude * Math.PI / 180;
@@ -2282,65 +3353,22 @@ class SkyRenderer {
         };
     }
 
+    // Alt/az (degrees) to scene coordinates in the current projection
+    horizontalToScene(azimuth, altitude) {
+        const { lst } = this.getSkyFrame();
+        const { ra, dec } = Astrometry.horizontalToEquatorial(altitude, azimuth, lst, this.location.latitude);
+        return this.equatorialToScene(ra, dec, lst);
+    }
+
     calculateHorizonPlane() {
         const normal = this.calculateNormalVector();
-        
-        // Convert observer's location to radians
-        const latRad = this.location.latitude * Math.PI / 180;
-        const lonRad = this.location.longitude * Math.PI / 180;
-
-        // Helper function to convert horizon coordinates to equatorial and then to the current projection
-        const horizonToProjected = (az, alt) => {
-            const azRad = az * Math.PI / 180;
-            const altRad = alt * Math.PI / 180;
-
-            // Convert to equatorial coordinates
-            const sinDec = Math.sin(latRad) * Math.sin(altRad) + 
-                          Math.cos(latRad) * Math.cos(altRad) * Math.cos(azRad);
-            const dec = Math.asin(sinDec);
-
-            const cosH = (Math.sin(altRad) - Math.sin(latRad) * sinDec) / 
-                        (Math.cos(latRad) * Math.cos(dec));
-            const sinH = -Math.cos(altRad) * Math.sin(azRad) / Math.cos(dec);
-            const ha = Math.atan2(sinH, cosH);
-
-            // Calculate RA from hour angle using current sidereal time
-            const currentTime = this.currentRenderTime || new Date();
-            const utcHours = currentTime.getUTCHours();
-            const utcMinutes = currentTime.getUTCMinutes();
-            const utcSeconds = currentTime.getUTCSeconds();
-            const utcMillis = currentTime.getUTCMilliseconds();
-            const totalHours = utcHours + (utcMinutes / 60) + (utcSeconds / 3600) + (utcMillis / 3600000);
-            const lst = (totalHours * 15 + this.location.longitude) * Math.PI / 180;
-
-            const ra = (lst - ha + 2 * Math.PI) % (2 * Math.PI);
-            const raHours = ra * 12 / Math.PI;
-            const decDeg = dec * 180 / Math.PI;
-
-            // Convert to appropriate projection
-            let coords;
-            if (this.projectionType === 'spherical') {
-                coords = this.equatorialToCartesian(raHours, decDeg);
-            } else {
-                switch(this.projectionType) {
-                    case 'stereographic':
-                        coords = this.equatorialToStereographic(raHours, decDeg);
-                        break;
-                    case 'mercator':
-                        coords = this.equatorialToMercator(raHours, decDeg);
-                        break;
-                    case 'hammer':
-                        coords = this.equatorialToHammer(raHours, decDeg);
-                        break;
-                }
-            }
 
-            return {
-                ...coords,
-                az: az,
-                alt: alt
-            };
-        };
+        // Helper function to convert horizon coordinates to the current projection
+        const horizonToProjected = (az, alt) => ({
+            ...this.horizontalToScene(az, alt),
+            az: az,
+            alt: alt
+        });
 
         // Create horizon circle points
         const horizonPoints = [];
@@ -2401,74 +3429,91 @@ class SkyRenderer {
         };
     }
 
-    drawHorizon() {
+    // Semi-opaque ground. Filled cell by cell in alt/az so it follows the
+    // horizon in every projection. All cells go into one path so overlapping
+    // edges don't darken. The path only moves with the sky frame, the
+    // projection and the view, so it is traced again only when one of them
+    // changed.
+    drawGround() {
         if (!this.ctx2d) return;
-        if (!this.visibility.showHorizon && !this.visibility.showAzimuthal) return;
 
-        const horizonData = this.calculateHorizonPlane();
+        const frame = this.getSkyFrame();
+        const key = [
+            frame.time, frame.longitude, this.location.latitude,
+            this.projectionType, this.mapRotation, this.canvas.width, this.canvas.height,
+            ...this.currentModelView, ...this.currentProjection
+        ].join('|');
+        if (this.groundKey !== key) {
+            const path = new Path2D();
+            const step = 10;
+            for (let alt = -90; alt < 0; alt += step) {
+                for (let az = 0; az < 360; az += step) {
+                    this.traceGroundCell(path, az, alt, step);
+                }
+            }
+            this.groundKey = key;
+            this.groundPath = path;
+        }
+
         const ctx = this.ctx2d;
+        ctx.fillStyle = 'rgba(18, 24, 14, 0.75)';
+        ctx.fill(this.groundPath, 'nonzero');
+    }
 
-        // Helper function for line culling
-        const shouldDrawLine = (pos1, pos2) => {
-            if (!pos1 || !pos2) return false;
-            
-            const dx = pos2.x - pos1.x;
-            const dy = pos2.y - pos1.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            const canvasWidth = this.canvas.width;
-            const canvasHeight = this.canvas.height;
-            
-            if (this.projectionType === 'hammer') {
-                // Calculate normalized coordinates (-1 to 1)
-                const nx1 = (pos1.x / canvasWidth) * 2 - 1;
-                const nx2 = (pos2.x / canvasWidth) * 2 - 1;
-                const ny1 = (pos1.y / canvasHeight) * 2 - 1;
-                const ny2 = (pos2.y / canvasHeight) * 2 - 1;
-                
-                // Calculate distance from center for both points
-                const r1 = Math.sqrt(nx1 * nx1 + ny1 * ny1);
-                const r2 = Math.sqrt(nx2 * nx2 + ny2 * ny2);
-                
-                const edgeThreshold = 1.15;
-                if (r1 > edgeThreshold || r2 > edgeThreshold || 
-                    distance > canvasWidth * 0.4 || 
-                    (nx1 * nx2 < 0 && Math.abs(dx) > canvasWidth * 0.4)) {
-                    return false;
-                }
-            } else if (this.projectionType === 'mercator') {
-                // For Mercator, check horizontal wrapping
-                if (Math.abs(dx) > canvasWidth * 0.8) {
-                    return false;
-                }
+    // Adds one alt/az cell of the ground to the path. The edges are
+    // sampled so they curve with the projection, and the top edge of the last
+    // row at every degree like the horizon line, so the two meet. A cell that
+    // is partly off the projection or torn by its seam is split into quarters
+    // down to groundMinCell degrees, leaving only slivers uncovered.
+    traceGroundCell(path, az, alt, size) {
+        const outline = [];
+        const edge = (fromAz, fromAlt, toAz, toAlt) => {
+            const spacing = fromAlt === 0 && toAlt === 0 ? 1 : SkyRenderer.groundEdgeStep;
+            const samples = Math.max(1, Math.ceil(size / spacing));
+            for (let i = 0; i < samples; i++) {
+                const t = i / samples;
+                outline.push(this.horizontalToScene(fromAz + (toAz - fromAz) * t, fromAlt + (toAlt - fromAlt) * t));
             }
-            
-            return true;
         };
+        edge(az, alt, az + size, alt);
+        edge(az + size, alt, az + size, alt + size);
+        edge(az + size, alt + size, az, alt + size);
+        edge(az, alt + size, az, alt);
+
+        // Points thrown far off screen (near the stereographic antipode, just
+        // in front of the camera plane) count as off the projection too
+        const limit = 10 * (this.canvas.width + this.canvas.height);
+        const corners = outline.map(scene => this.projectPoint(scene));
+        const shown = corners.filter(pos => pos && Math.abs(pos.x) + Math.abs(pos.y) < limit).length;
+        if (!shown) return;
+        const whole = shown === corners.length &&
+            !outline.some((scene, i) => this.crossesSeam(scene, outline[(i + 1) % outline.length]));
+
+        if (whole) {
+            path.moveTo(corners[0].x, corners[0].y);
+            corners.slice(1).forEach(pos => path.lineTo(pos.x, pos.y));
+            path.closePath();
+        } else if (size > SkyRenderer.groundMinCell) {
+            const half = size / 2;
+            [[0, 0], [half, 0], [half, half], [0, half]].forEach(([dAz, dAlt]) =>
+                this.traceGroundCell(path, az + dAz, alt + dAlt, half)
+            );
+        }
+    }
+
+    drawHorizon() {
+        if (!this.ctx2d) return;
+        if (!this.visibility.showHorizon && !this.visibility.showAzimuthal) return;
+
+        const horizonData = this.calculateHorizonPlane();
+        const ctx = this.ctx2d;
 
         // Draw horizon circle if horizon visibility is enabled
         if (this.visibility.showHorizon) {
             ctx.beginPath();
             ctx.strokeStyle = 'rgba(0, 255, 0, 0.5)';
             ctx.lineWidth = 2;
-            let first = true;
-            let lastPos = null;
-            
-            horizonData.horizonPoints.forEach(point => {
-                const pos = this.projectPoint(point);
-                if (pos) {
-                    if (first) {
-                        ctx.moveTo(pos.x, pos.y);
-                        first = false;
-                    } else if (shouldDrawLine(lastPos, pos)) {
-                        ctx.lineTo(pos.x, pos.y);
-                    } else {
-                        ctx.stroke();
-                        ctx.beginPath();
-                        ctx.moveTo(pos.x, pos.y);
-                    }
-                    lastPos = pos;
-                }
-            });
+            this.traceScenePath(ctx, horizonData.horizonPoints);
             ctx.stroke();
 
             // Draw cardinal points
@@ -2508,55 +3553,56 @@ class SkyRenderer {
             ctx.strokeStyle = 'rgba(50, 150, 50, 0.3)';
             ctx.lineWidth = 1;
 
-            // Draw altitude circles
-            horizonData.altitudeCircles.forEach(circle => {
-                ctx.beginPath();
-                let first = true;
-                let lastPos = null;
-                
-                circle.points.forEach(point => {
-                    const pos = this.projectPoint(point);
-                    if (pos) {
-                        if (first) {
-                            ctx.moveTo(pos.x, pos.y);
-                            first = false;
-                        } else if (shouldDrawLine(lastPos, pos)) {
-                            ctx.lineTo(pos.x, pos.y);
-                        } else {
-                            ctx.stroke();
-                            ctx.beginPath();
-                            ctx.moveTo(pos.x, pos.y);
-                        }
-                        lastPos = pos;
-                    }
-                });
-                ctx.stroke();
-            });
-
-            // Draw azimuth lines
-            horizonData.azimuthLines.forEach(line => {
+            // Draw altitude circles and azimuth lines
+            [...horizonData.altitudeCircles, ...horizonData.azimuthLines].forEach(line => {
                 ctx.beginPath();
-                let first = true;
-                let lastPos = null;
-                
-                line.points.forEach(point => {
-                    const pos = this.projectPoint(point);
-                    if (pos) {
-                        if (first) {
-                            ctx.moveTo(pos.x, pos.y);
-                            first = false;
-                        } else if (shouldDrawLine(lastPos, pos)) {
-                            ctx.lineTo(pos.x, pos.y);
-                        } else {
-                            ctx.stroke();
-                            ctx.beginPath();
-                            ctx.moveTo(pos.x, pos.y);
-                        }
-                        lastPos = pos;
-                    }
-                });
+                this.traceScenePath(ctx, line.points);
                 ctx.stroke();
             });
         }
     }
 }
+
+// Symbol colors for the catalog DSO types (RGB, 0-1), after the usual atlas
+// scheme: galaxies red, clusters yellow, nebulae green
+SkyRenderer.dsoColors = {
+    diffuse: [0.45, 0.85, 0.5],
+    planetary: [0.45, 0.85, 0.5],
+    supernova: [0.45, 0.85, 0.5],
+    spiral: [1.0, 0.45, 0.45],
+    galaxy: [1.0, 0.45, 0.45],
+    globular: [1.0, 0.85, 0.4],
+    open: [1.0, 0.85, 0.4]
+};
+
+// DSOs are labeled down to this many magnitudes past the naked-eye limit,
+// about what binoculars add under the same sky
+SkyRenderer.dsoLabelMargin = 1.5;
+
+// Ground cells: edge sampling and the smallest split of a torn cell (degrees)
+SkyRenderer.groundEdgeStep = 2;
+SkyRenderer.groundMinCell = 0.625;
+
+// Disc colors for the Sun, Moon and planets (RGB, 0-1)
+SkyRenderer.bodyColors = {
+    sun: [1.0, 0.95, 0.8],
+    moon: [0.9, 0.9, 0.85],
+    mercury: [0.75, 0.72, 0.7],
+    venus: [1.0, 0.97, 0.85],
+    mars: [1.0, 0.55, 0.35],
+    jupiter: [0.95, 0.88, 0.75],
+    saturn: [0.95, 0.85, 0.6],
+    uranus: [0.7, 0.9, 0.95],
+    neptune: [0.5, 0.65, 1.0],
+    comet: [0.6, 0.9, 1.0],
+    asteroid: [0.85, 0.8, 0.7]
+};
+
+// Comets and asteroids fainter than this are not drawn
+SkyRenderer.minorBodyMagnitudeLimit = 12;
+// How far past the limit a body may be at midday and still be propagated that
+// day, enough for a close approach to brighten into view
+SkyRenderer.minorBodyShortlistMargin = 2;
+
+// Satellite trails: how many minutes back, one point every step seconds
+SkyRenderer.satelliteTrail = { minutes: 5, step: 20 };
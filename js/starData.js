@@ -2,13 +2,29 @@ class StarData {
     constructor() {
         this.stars = [];
         this.constellationLines = [];
+        this.constellations = new Constellations();
         this.deepSkyObjects = {
             nebulae: [],
             galaxies: [],
             clusters: []
         };
-        this.meteorShowers = [];
-        this.activeShowers = [];
+        this.meteorShowers = new MeteorShowers();
+        this.minorBodies = [];
+        this.satellites = [];
+
+        // Catalog sources, composed by loadAllData(). The bundled catalog is
+        // registered first so the sky works offline; VizieR is the refresh path.
+        this.providers = [];
+        this.registerProvider(new LocalFileProvider({ id: 'local-stars', url: 'data/stars.json', kind: 'stars' }));
+        this.registerProvider(new LocalFileProvider({ id: 'local-dsos', url: 'data/dsos.json', kind: 'dsos' }));
+        this.registerProvider(new EphemerisProvider());
+        this.registerProvider(new VizierProvider());
+        this.registerProvider(new SimbadProvider());
+        this.registerProvider(new HorizonsProvider());
+
+        // Parsed star records persisted between page loads
+        this.cache = new CatalogCache();
+        this.onStarsUpdated = null;
         
         // Import common star names from separate file
         import('./commonstardata.js').then(module => {
@@ -19,198 +35,360 @@ class StarData {
         });
     }
 
-    async loadAllData() {
+    registerProvider(provider) {
+        this.unregisterProvider(provider.id);
+        this.providers.push(provider);
+        return provider;
+    }
+
+    unregisterProvider(id) {
+        this.providers = this.providers.filter(provider => provider.id !== id);
+    }
+
+    // Providers for a kind in the order they should be tried: local sources
+    // first, remote ones only when refreshing or flagged as a fallback
+    getProviders(kind, refresh = false) {
+        const matching = this.providers.filter(provider => provider.provides(kind));
+        const local = matching.filter(provider => !provider.remote);
+        const remote = matching.filter(provider => provider.remote && (refresh || provider.fallback));
+        return refresh ? [...remote, ...local] : [...local, ...remote];
+    }
+
+    async loadAllData({ refresh = false } = {}) {
         try {
-            const yaleData = await this.loadYaleCatalog();
-            if (yaleData?.length > 0) {
-                console.log(`Loaded ${yaleData.length} stars from Yale catalog`);
-                // Fetch common names for bright stars (magnitude < 3)
-                const brightStars = yaleData.filter(star => star.magnitude < 3);
-                for (const star of brightStars) {
-                    try {
-                        const commonName = await this.fetchCommonName(star.id);
-                        if (commonName) {
-                            star.commonName = commonName;
-                        }
-                    } catch (error) {
-                        console.warn(`Could not fetch common name for ${star.id}:`, error);
-                    }
-                }
-                this.stars = yaleData;
-            } else {
-                throw new Error('No stars loaded from Yale catalog');
+            this.stars = await this.loadStars(refresh);
+
+            const [dsos, bodies, minorBodies, satellites] = await Promise.all([
+                this.loadFromProviders('dsos', refresh),
+                this.loadFromProviders('solarSystem', refresh),
+                this.loadFromProviders('minorBodies', refresh),
+                this.loadFromProviders('satellites', refresh),
+                this.loadConstellationLines(),
+                this.constellations.load(),
+                this.meteorShowers.load()
+            ]);
+
+            const data = { stars: this.stars };
+            if (this.constellationLines.length) {
+                data.constellationLines = this.constellationLines;
+            }
+            if (this.constellations.list.length) {
+                data.constellations = this.constellations;
+            }
+            if (this.meteorShowers.list.length) {
+                data.meteorShowers = this.meteorShowers;
+            }
+            if (dsos.length) {
+                this.processDeepSkyObjects(dsos);
+                data.deepSkyObjects = this.deepSkyObjects;
             }
-            return { stars: this.stars };
+            if (bodies.length) {
+                this.planets = bodies;
+                data.planets = this.planets;
+            }
+            if (minorBodies.length) {
+                this.minorBodies = minorBodies;
+                data.minorBodies = this.minorBodies;
+            }
+            if (satellites.length) {
+                this.satellites = satellites;
+                data.satellites = this.satellites;
+            }
+            return data;
         } catch (error) {
             console.error('Error loading astronomical data:', error);
             throw error;
         }
     }
 
-    async loadYaleCatalog() {
+    async loadStars(refresh = false) {
+        const providers = this.getProviders('stars', refresh);
+
+        // Serve cached records straight away and revalidate in the background
+        for (const provider of providers) {
+            const cached = await this.cache.get(provider.cacheKey);
+            if (cached?.stars?.length) {
+                this.catalogInfo = {
+                    catalog: cached.catalog,
+                    version: cached.version,
+                    source: cached.source
+                };
+                console.log(`Loaded ${cached.stars.length} stars from catalog cache`);
+                this.revalidateCatalog(providers[0], cached);
+                return cached.stars;
+            }
+        }
+
+        const stars = await this.fetchStars(providers);
+        if (!stars) {
+            throw new Error('No stars loaded from star catalog');
+        }
+        return stars;
+    }
+
+    // Loads stars from the first provider that returns any, and caches them
+    // under the key of the first provider, the one the next load looks up
+    // first: a fallback copy then still serves an offline start
+    async fetchStars(providers) {
+        const cacheKey = providers[0]?.cacheKey;
+        for (const provider of providers) {
+            try {
+                const stars = await provider.load('stars');
+                if (!stars?.length) continue;
+
+                await this.applyCommonNames(stars);
+                await this.crossIndex(stars);
+                this.catalogInfo = provider.info;
+                await this.cache.put(cacheKey, provider.info, stars);
+                console.log(`Loaded ${stars.length} stars from ${provider.id}`);
+                return stars;
+            } catch (error) {
+                console.warn(`Star provider ${provider.id} failed:`, error);
+            }
+        }
+        return null;
+    }
+
+    async revalidateCatalog(provider, cached) {
         try {
-            const tapUrl = 'https://tapvizier.u-strasbg.fr/TAPVizieR/tap/sync';
-            const query = `
-                SELECT "V/50/catalog"."HR", "RAJ2000", "DEJ2000", "Vmag", "B-V", "SpType", "Name"
-                FROM "V/50/catalog"
-                WHERE "Vmag" IS NOT NULL
-                ORDER BY "Vmag" ASC
-            `;
-            
-            const response = await fetch(`${tapUrl}?${new URLSearchParams({
-                request: 'doQuery',
-                lang: 'ADQL',
-                format: 'json',
-                query: query
-            })}`);
+            const stars = await provider.load('stars');
+            if (!stars?.length) return false;
 
-            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-            const data = await response.json();
-            if (!data?.data) throw new Error('Invalid response from Yale catalog');
-            return this.parseVizierData(data);
+            // Versioned local catalogs only need replacing when the version moved on
+            const sameEntry = cached.query === provider.cacheKey;
+            if (!provider.remote && sameEntry && provider.info?.version === cached.version) {
+                return false;
+            }
+
+            await this.applyCommonNames(stars);
+            await this.crossIndex(stars);
+            this.stars = stars;
+            this.catalogInfo = provider.info;
+            await this.cache.put(provider.cacheKey, provider.info, stars);
+            console.log(`Catalog cache revalidated with ${stars.length} stars from ${provider.id}`);
+            this.onStarsUpdated?.(stars);
+            return true;
         } catch (error) {
-            console.error('Error fetching Yale catalog:', error);
-            throw error;
+            console.warn('Could not revalidate cached catalog:', error);
+            return false;
         }
     }
 
-    parseVizierData(data) {
-        if (!data?.data) return [];
-        
-        return data.data
-            .map(star => {
-                const ra = parseFloat(star[1]) / 15;
-                const dec = parseFloat(star[2]);
-                const raRad = ra * Math.PI / 12;
-                const decRad = dec * Math.PI / 180;
-                const magnitude = parseFloat(star[3]);
-                const colorIndex = parseFloat(star[4]);
-                const spectralType = star[5]?.trim();
-
-                return {
-                    id: `HR ${star[0]}`,
-                    name: star[6]?.trim() || `HR ${star[0]}`,
-                    ra,
-                    dec,
-                    magnitude,
-                    colorIndex,
-                    spectralType,
-                    x: Math.cos(decRad) * Math.cos(raRad),
-                    y: Math.cos(decRad) * Math.sin(raRad),
-                    z: Math.sin(decRad)
-                };
-            })
-            .filter(star => 
-                !isNaN(star.x) && !isNaN(star.y) && !isNaN(star.z) && 
-                !isNaN(star.magnitude) && !isNaN(star.ra) && !isNaN(star.dec)
-            );
+    // Merges the records of every provider for a kind, first source wins on duplicate ids
+    async loadFromProviders(kind, refresh = false) {
+        const results = await Promise.all(this.getProviders(kind, refresh).map(async provider => {
+            try {
+                return await provider.load(kind);
+            } catch (error) {
+                console.warn(`Provider ${provider.id} failed to load ${kind}:`, error);
+                return [];
+            }
+        }));
+
+        const seen = new Set();
+        return results.flat().filter(record => {
+            if (!record || seen.has(record.id)) return false;
+            seen.add(record.id);
+            return true;
+        });
     }
 
-    equatorialToCartesian(ra, dec, distance = 1) {
-        const raRad = (ra * 15) * Math.PI / 180;
-        const decRad = dec * Math.PI / 180;
+    // Optional online refresh: replaces the bundled stars with the remote
+    // catalogs (the full Yale Bright Star Catalog) when the network is available
+    async refreshCatalog() {
+        const remote = this.getProviders('stars', true).filter(provider => provider.remote);
+        const stars = await this.fetchStars(remote);
+        if (!stars) {
+            console.warn('Could not refresh star catalog from remote providers');
+            return false;
+        }
 
-        return {
-            x: distance * Math.cos(decRad) * Math.cos(raRad),
-            y: distance * Math.cos(decRad) * Math.sin(raRad),
-            z: distance * Math.sin(decRad)
-        };
+        this.stars = stars;
+        this.onStarsUpdated?.(stars);
+        return true;
     }
 
-    equatorialToStereographic(ra, dec) {
-        const raRad = (ra * 15) * Math.PI / 180;
-        const decRad = dec * Math.PI / 180;
-        const R = 2.0 / (1.0 + Math.cos(decRad) * Math.cos(raRad));
-        
-        return {
-            x: R * Math.cos(decRad) * Math.sin(raRad),
-            y: R * Math.sin(decRad),
-            z: 0
-        };
+    getCacheInfo() {
+        return this.cache.inspect();
     }
 
-    equatorialToMercator(ra, dec) {
-        const raRad = (ra * 15) * Math.PI / 180;
-        const decRad = Math.max(Math.min(dec * Math.PI / 180, Math.PI/2 - 0.01), -Math.PI/2 + 0.01);
-        
-        return {
-            x: raRad,
-            y: Math.log(Math.tan(Math.PI/4 + decRad/2)),
-            z: 0
-        };
+    clearCache() {
+        return this.cache.clear();
     }
 
-    equatorialToHammer(ra, dec) {
-        const raRad = (ra * 15 - 180) * Math.PI / 180;
-        const decRad = dec * Math.PI / 180;
-        const z = Math.sqrt(1 + Math.cos(decRad) * Math.cos(raRad/2));
-        
-        return {
-            x: 2 * Math.sqrt(2) * Math.cos(decRad) * Math.sin(raRad/2) / z,
-            y: Math.sqrt(2) * Math.sin(decRad) / z,
-            z: 0
-        };
+    async applyCommonNames(stars) {
+        // Fetch common names for bright stars (magnitude < 3)
+        const brightStars = stars.filter(star => star.magnitude < 3 && !star.commonName);
+        for (const star of brightStars) {
+            try {
+                const commonName = await this.fetchCommonName(star.id);
+                if (commonName) {
+                    star.commonName = commonName;
+                }
+            } catch (error) {
+                console.warn(`Could not fetch common name for ${star.id}:`, error);
+            }
+        }
     }
 
-    async loadDeepSkyObjects() {
-        const simbadUrl = 'http://simbad.u-strasbg.fr/simbad/sim-tap/sync';
-        const query = `SELECT basic.OID, ident.id, ra, dec, allfluxes.V, otype.otype_txt, dim.dimensions
-                      FROM basic
-                      JOIN ident ON ident.oidref = basic.OID
-                      LEFT JOIN allfluxes ON allfluxes.oidref = basic.OID
-                      JOIN otype ON otype.otype = basic.otype
-                      LEFT JOIN dim ON dim.oidref = basic.OID
-                      WHERE ident.id LIKE 'M %'`;
+    // The bundled catalog and the figures are numbered by HIP, the Yale
+    // refresh by HR. Stars of a catalog without HIP numbers get them from the
+    // bundled stars at the same place, so HIP-keyed data keeps working after
+    // a catalog swap.
+    async crossIndex(stars) {
+        if (!stars.length || stars.every(star => star.hip !== undefined)) return stars;
+
+        if (!this.referenceStars) {
+            const provider = this.providers.find(({ id }) => id === 'local-stars');
+            this.referenceStars = provider ?
+                provider.load('stars').catch(error => {
+                    console.warn('Could not load the bundled stars to cross-index:', error);
+                    return [];
+                }) :
+                Promise.resolve([]);
+        }
+        return StarData.crossMatch(stars, await this.referenceStars);
+    }
 
+    // Copies the HIP number of each reference star onto the nearest star
+    // within MATCH_RADIUS (degrees) of about the same brightness
+    static crossMatch(stars, reference, radius = StarData.MATCH_RADIUS) {
+        const cosRadius = Math.cos(radius * Math.PI / 180);
+
+        // Bucket by degree of declination to keep the search local
+        const bands = new Map();
+        stars.forEach(star => {
+            const band = Math.floor(star.dec);
+            if (!bands.has(band)) bands.set(band, []);
+            bands.get(band).push(star);
+        });
+
+        reference.forEach(known => {
+            if (known.hip === undefined) return;
+
+            let best = null;
+            let bestCos = cosRadius;
+            for (let band = Math.floor(known.dec - radius); band <= Math.floor(known.dec + radius); band++) {
+                (bands.get(band) || []).forEach(star => {
+                    const cos = star.x * known.x + star.y * known.y + star.z * known.z;
+                    if (cos > bestCos && Math.abs(star.magnitude - known.magnitude) < StarData.MATCH_MAGNITUDE) {
+                        best = star;
+                        bestCos = cos;
+                    }
+                });
+            }
+            if (best && best.hip === undefined) best.hip = known.hip;
+        });
+        return stars;
+    }
+
+    parseVizierData(data) {
+        return CatalogProvider.normalizeStarTable(data);
+    }
+
+    async loadDeepSkyObjects() {
         try {
-            const response = await fetch(simbadUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                },
-                body: `request=doQuery&lang=adql&format=json&query=${encodeURIComponent(query)}`
-            });
-
-            const data = await response.json();
-            this.processDeepSkyObjects(data);
+            const dsos = await this.loadFromProviders('dsos', true);
+            this.processDeepSkyObjects(dsos);
         } catch (error) {
             console.error('Error loading deep sky objects:', error);
         }
+        return this.deepSkyObjects;
     }
 
-    async loadPlanetaryData() {
-        const horizonsUrl = 'https://ssd.jpl.nasa.gov/api/horizons.api';
-        const planets = ['Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune'];
-        
-        this.planets = await Promise.all(planets.map(async planet => {
-            try {
-                const response = await fetch(horizonsUrl, {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/x-www-form-urlencoded'
-                    },
-                    body: `format=json&COMMAND='${planet}'&OBJ_DATA=YES&EPHEM_TYPE=OBSERVER&CENTER='@399'`
-                });
-                
-                const data = await response.json();
-                return this.processPlanetData(data, planet);
-            } catch (error) {
-                console.error(`Error loading data for ${planet}:`, error);
-                return null;
+    processDeepSkyObjects(records) {
+        this.deepSkyObjects = {
+            nebulae: [],
+            galaxies: [],
+            clusters: []
+        };
+
+        records.forEach(record => {
+            const category = record.category || CatalogProvider.dsoCategory(record.type);
+            if (this.deepSkyObjects[category]) {
+                this.deepSkyObjects[category].push(record);
             }
-        }));
+        });
+        return this.deepSkyObjects;
+    }
+
+    async loadPlanetaryData() {
+        this.planets = await this.loadFromProviders('solarSystem', true);
+        return this.planets;
+    }
+
+    // Comets and asteroids from the registered MPC element files
+    async loadMinorBodies(refresh = false) {
+        this.minorBodies = await this.loadFromProviders('minorBodies', refresh);
+        return this.minorBodies;
+    }
+
+    // Adds the text of an MPCORB / CometEls file (e.g. one the user picked)
+    // as a provider and reloads the comets and asteroids
+    async importMinorBodies(text, name = 'imported') {
+        this.registerProvider(new MpcProvider({ id: `mpc-${name}`, text, name }));
+        return this.loadMinorBodies();
+    }
+
+    // Satellites from the registered TLE files
+    async loadSatellites(refresh = false) {
+        this.satellites = await this.loadFromProviders('satellites', refresh);
+        return this.satellites;
+    }
+
+    // Adds the text of a TLE file as a provider and reloads the satellites
+    async importSatellites(text, name = 'imported') {
+        this.registerProvider(new TleProvider({ id: `tle-${name}`, text, name }));
+        return this.loadSatellites();
     }
 
     getStar(name) {
         return this.stars.find(star => star.name === name);
     }
 
+    // Stick figures from a Stellarium constellationship.fab style file. Star
+    // numbers are HIP by default, which also fits the Yale refresh through its
+    // cross-matched HIP numbers; pass catalog 'HR' for a Bright Star file.
+    async loadConstellationLines(url = 'data/constellationship.fab', catalog = 'HIP') {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+            this.constellationLines = StarData.parseConstellationship(await response.text(), catalog);
+            console.log(`Loaded ${this.constellationLines.length} constellation line segments`);
+        } catch (error) {
+            console.warn('Could not load constellation lines:', error);
+            this.constellationLines = [];
+        }
+        return this.constellationLines;
+    }
+
+    // "<abbr> <segments> <star> <star> ..." -> [{ constellation, from, to }] with
+    // from/to matching star ids ('HIP 26727', 'HR 2061')
+    static parseConstellationship(text, catalog = 'HIP') {
+        const lines = [];
+        text.split('\n').forEach(row => {
+            const fields = row.trim().split(/\s+/);
+            if (!fields[0] || fields[0].startsWith('#')) return;
+
+            const [constellation, count, ...stars] = fields;
+            const segments = Math.min(parseInt(count, 10) || 0, Math.floor(stars.length / 2));
+            for (let i = 0; i < segments; i++) {
+                lines.push({
+                    constellation,
+                    from: `${catalog} ${stars[i * 2]}`,
+                    to: `${catalog} ${stars[i * 2 + 1]}`
+                });
+            }
+        });
+        return lines;
+    }
+
     getConstellationLines(constellation) {
         return this.constellationLines.filter(line => line.constellation === constellation);
     }
 
-    getActiveMeteoShowers() {
-        return this.meteorShowers.filter(shower => shower.active);
+    getActiveMeteoShowers(date = new Date()) {
+        return this.meteorShowers.active(date);
     }
 
     getDSOsByType(type) {
@@ -218,7 +396,13 @@ class StarData {
     }
 
     async fetchCommonName(hrId) {
+        if (!hrId.startsWith('HR ')) return null;
         const id = hrId.replace('HR ', '');
-        return this.commonNames[id] || null;
+        return this.commonNames?.[id] || null;
     }
-}
\ No newline at end of file
+}
+
+// Largest separation (deg) and magnitude difference for two catalog entries
+// to count as the same star
+StarData.MATCH_RADIUS = 0.1;
+StarData.MATCH_MAGNITUDE = 1.5;